@@ -29,6 +29,15 @@ window.JsEvalEngine = class JsEvalEngine {
 
         options = Object.assign({}, JsEvalEngine.defaultOptions(fragment), options);
 
+        //Trust mode holds back fragment code however it is run, not only through require
+        if(fragment != null && typeof FragmentTrust !== "undefined" && FragmentTrust.enabled) {
+            await FragmentTrust.assertApproved(fragment);
+        }
+
+        if(options.module) {
+            return JsEvalEngine.executeModule(code, options, fragment);
+        }
+
         let resolver = null;
         let rejector = null;
 
@@ -37,14 +46,97 @@ window.JsEvalEngine = class JsEvalEngine {
             rejector = reject;
         });
 
-        let clonedConsole = Object.assign({}, console, options.customConsole);
+        //Aborts when the given signal aborts or the timeout runs out, whichever comes first
+        let abortController = new AbortController();
+        let abortPromise = JsEvalEngine.abortPromise(abortController.signal);
 
-        let context = {
-            exports: {},
+        let stopAbortHandling = JsEvalEngine.linkAbort(abortController, options.signal, options.timeout);
+
+        //Release whatever the previous run of this fragment left behind
+        if(fragment != null) {
+            fragment.dispose();
+        }
+
+        let context = JsEvalEngine.createContext(options, fragment, {
             asyncResolve: resolver,
             asyncReject: rejector,
+            signal: abortController.signal
+        });
+
+        let asyncCode = code;
+        let wrapperLength = 0;
+
+        if(options.async) {
+            let methodName = fragment != null ? "CS_ASYNC_" + fragment.uuid.replace("-", "_") : null;
+            asyncCode = JsEvalEngine.wrapInAsync(code, methodName);
+            wrapperLength = JsEvalEngine.asyncPrefix(methodName).length;
+        }
+
+        if(fragment != null) {
+            asyncCode = JsEvalEngine.addSourceMapping(asyncCode, code, wrapperLength, JsEvalEngine.sourceURL(fragment));
+        }
+
+        try {
+            abortController.signal.throwIfAborted();
+            JsEvalEngine.runTracked(context, ()=>{
+                codeStratesEvalInContext.call(null, asyncCode, context);
+            });
+            if(!options.async) {
+                context.asyncResolve();
+            }
+        } catch(e) {
+            stopAbortHandling();
+            context.error(e);
+            throw e;
+        }
+
+        try {
+            await Promise.race([asyncPromise, abortPromise]);
+        } catch(e) {
+            //Release timers and callbacks of an aborted run, so it stops doing work
+            if(abortController.signal.aborted && fragment != null) {
+                fragment.dispose();
+            }
+            context.error(e);
+            throw e;
+        } finally {
+            stopAbortHandling();
+        }
+
+        return context[options.exportsName];
+    }
+
+    //Creates the variables available to code running in a fragment
+    static createContext(options, fragment, extra) {
+        let clonedConsole = Object.assign({}, console, options.customConsole);
+
+        let onDispose = (callback)=>{
+            if(fragment == null) {
+                console.warn("onDispose used without a fragment, the callback will never be called");
+                return {
+                    delete: ()=>{}
+                };
+            }
+
+            return fragment.registerOnDisposeHandler(callback);
+        };
+
+        let context = Object.assign({
+            exports: {},
             console: clonedConsole,
             fragmentSelfReference: fragment,
+            onDispose: onDispose,
+            hot: {
+                accept: (query, callback)=>{
+                    Fragment.find(query).forEach((dependency)=>{
+                        let handle = dependency.registerOnHotReloadHandler(callback);
+                        onDispose(()=>{
+                            handle.delete();
+                        });
+                    });
+                },
+                dispose: onDispose
+            },
             error: (e)=>{
                 let parsedStack = JsEvalEngine.parseErrorStack(e.name, e.stack, e);
                 EventSystem.triggerEvent("Codestrates.Fragment.Error", {
@@ -52,43 +144,739 @@ window.JsEvalEngine = class JsEvalEngine {
                     fragment: fragment
                 });
                 let compactStack = StackWalker.compactify(parsedStack.stack);
-                let lineNumber = compactStack[0].lineNumber;
+                let lineNumber = compactStack.length > 0 ? compactStack[0].lineNumber : null;
                 JsEvalEngine.doLog(console.error, fragment, lineNumber, parsedStack.extraReason, compactStack);
             }
-        };
+        }, extra);
+
+        let tracker = null;
+        if(options.trackResources) {
+            tracker = JsEvalEngine.createResourceTracker(onDispose);
+            Object.assign(context, tracker.globals);
+        }
 
         if(options.context != null) {
             context = Object.assign({}, context, options.context);
         }
 
-        let asyncCode = code;
-
-        if(options.async) {
-            asyncCode = JsEvalEngine.wrapInAsync(code, fragment != null ? "CS_ASYNC_" + fragment.uuid.replace("-", "_") : null);
+        if(tracker != null) {
+            JsEvalEngine.resourceTrackers.set(context, tracker);
         }
 
+        return context;
+    }
+
+    //Returns a promise that rejects with the abort reason when the signal aborts
+    static abortPromise(signal) {
+        let promise = new Promise((resolve, reject)=>{
+            signal.addEventListener("abort", ()=>{
+                reject(signal.reason);
+            });
+        });
+
+        //Nobody may be listening when the signal aborts
+        promise.catch(()=>{});
+
+        return promise;
+    }
+
+    //Executes the code as an ES module. The context is injected as const declarations at the top of the module instead of through with.
+    //Modules are cached by content hash, so requiring an unchanged module returns the already evaluated module.
+    static async executeModule(code, options, fragment = null) {
+        let abortController = new AbortController();
+        let abortPromise = JsEvalEngine.abortPromise(abortController.signal);
+
+        let stopAbortHandling = JsEvalEngine.linkAbort(abortController, options.signal, options.timeout);
+
+        let key = fragment != null ? fragment.uuid : "module-" + (++JsEvalEngine.anonymousModules);
+
+        //Only used for reporting errors that happen before the module gets its real context
+        let errorContext = JsEvalEngine.createContext(Object.assign({}, options, {trackResources: false, context: null}), fragment, {});
+
+        let module = null;
+
         try {
-            codeStratesEvalInContext.call(null, asyncCode, context);
-            if(!options.async) {
-                context.asyncResolve();
+            module = await JsEvalEngine.buildModule(code, key, JsEvalEngine.moduleContextNames(options), fragment, new Set());
+
+            if(fragment == null || fragment.moduleUrl !== module.url) {
+                JsEvalEngine.prepareModuleRun(fragment, key, module, options, abortController.signal);
             }
+
+            abortController.signal.throwIfAborted();
+
+            return await Promise.race([import(module.url), abortPromise]);
         } catch(e) {
-            context.error(e);
+            //Release timers and callbacks of an aborted run, so it stops doing work
+            if(abortController.signal.aborted && fragment != null) {
+                fragment.dispose();
+            }
+            errorContext.error(e);
             throw e;
+        } finally {
+            stopAbortHandling();
+
+            //Anonymous modules are never run again, so their url and context can go once they are evaluated
+            if(fragment == null) {
+                if(module != null) {
+                    JsEvalEngine.forgetModule(module.hash);
+                }
+                JsEvalEngine.moduleContexts.delete(key);
+            }
         }
+    }
 
-        await asyncPromise.catch((e)=>{context.error(e); throw e});
+    //The names of the context variables a module gets with the given options
+    static moduleContextNames(options) {
+        let names = ["exports", "console", "fragmentSelfReference", "onDispose", "hot", "error", "signal"];
 
-        return context[options.exportsName];
+        if(options.trackResources) {
+            names.push(...Object.keys(JsEvalEngine.createResourceTracker(()=>{}).globals));
+        }
+
+        if(options.context != null) {
+            names.push(...Object.keys(options.context));
+        }
+
+        return Array.from(new Set(names)).filter((name)=>{
+            return /^[A-Za-z_$][\w$]*$/.test(name);
+        });
+    }
+
+    //Dispose the previous run of the fragment and register the context of its new module, before the module is evaluated
+    static prepareModuleRun(fragment, key, module, options, signal) {
+        if(fragment != null) {
+            fragment.dispose();
+        }
+
+        let context = JsEvalEngine.createContext(options, fragment, {
+            signal: signal
+        });
+        JsEvalEngine.moduleContexts.set(key, context);
+
+        if(fragment != null) {
+            fragment.moduleUrl = module.url;
+
+            //A disposed module must be evaluated again on the next require, which needs a new url
+            fragment.registerOnDisposeHandler(()=>{
+                JsEvalEngine.forgetModule(module.hash);
+                if(JsEvalEngine.moduleContexts.get(key) === context) {
+                    JsEvalEngine.moduleContexts.delete(key);
+                }
+                if(fragment.moduleUrl === module.url) {
+                    fragment.moduleUrl = null;
+                }
+            });
+        }
+    }
+
+    //Build the module source for the code, with fragment imports rewritten to module urls, and return its cached url
+    static async buildModule(code, key, contextNames, fragment, building) {
+        if(fragment != null) {
+            building.add(fragment);
+        }
+
+        let prologue = "";
+        if(contextNames.length > 0) {
+            prologue = "const {" + contextNames.join(", ") + "} = JsEvalEngine.enterModuleContext(" + JSON.stringify(key) + ");";
+        }
+
+        let source = prologue + await JsEvalEngine.rewriteModuleImports(code, fragment, building) + "\n";
+
+        if(fragment != null) {
+            source = JsEvalEngine.addSourceMapping(source, code, prologue.length, JsEvalEngine.sourceURL(fragment));
+        }
+
+        if(fragment != null) {
+            building.delete(fragment);
+        }
+
+        return JsEvalEngine.cacheModule(source);
+    }
+
+    //Rewrite import and export specifiers of the form "#id" or paths, to the module urls of those fragments
+    static async rewriteModuleImports(code, fragment, building) {
+        let importPattern = /(\bimport\s*\(\s*|\bimport\s+|\bfrom\s*)(["'])([^"'\n]*)\2/g;
+
+        //Match on the code with comments and string contents blanked, so only real imports are found, then read the specifiers from the code
+        let imports = Array.from(JsEvalEngine.maskNonCode(code).matchAll(importPattern)).map((match)=>{
+            let start = match.index + match[1].length + 1;
+            return {
+                start: start,
+                end: start + match[3].length,
+                specifier: code.substring(start, start + match[3].length)
+            };
+        });
+
+        let specifiers = new Set();
+        imports.forEach((entry)=>{
+            if(entry.specifier.startsWith("#") || Fragment.isPath(entry.specifier)) {
+                specifiers.add(entry.specifier);
+            }
+        });
+
+        let urls = new Map();
+        for(let specifier of specifiers) {
+            let target = specifier.startsWith("#") ? Fragment.one(specifier) : Fragment.resolve(specifier, fragment);
+
+            if(!(target instanceof Fragment)) {
+                throw new Error("Unable to import '" + specifier + "', no such fragment");
+            }
+
+            urls.set(specifier, await JsEvalEngine.moduleUrlOf(target, building));
+        }
+
+        let rewritten = "";
+        let position = 0;
+        imports.forEach((entry)=>{
+            if(urls.has(entry.specifier)) {
+                rewritten += code.substring(position, entry.start) + urls.get(entry.specifier);
+                position = entry.end;
+            }
+        });
+
+        return rewritten + code.substring(position);
+    }
+
+    //Returns the code with the contents of comments, strings, template literals and regular expressions replaced by spaces.
+    //Quotes and line breaks are kept, so positions in the result are the same as in the code.
+    static maskNonCode(code) {
+        let result = "";
+        let i = 0;
+
+        //Template literals being read, with the brace depth of the ${} expression each one is currently inside
+        let templates = [];
+        let previous = "";
+        let previousWord = "";
+
+        let blank = (end)=>{
+            result += code.substring(i, end).replace(/[^\n]/g, " ");
+            i = end;
+        };
+
+        let readTemplate = ()=>{
+            //Reads from inside a template literal, to its end or the start of an expression
+            let start = i;
+            while(i < code.length && code[i] !== "`" && !(code[i] === "$" && code[i+1] === "{")) {
+                i += code[i] === "\\" ? 2 : 1;
+            }
+            let end = Math.min(i, code.length);
+            i = start;
+            blank(end);
+
+            if(code[i] === "`") {
+                result += "`";
+                i++;
+                templates.pop();
+                previous = "`";
+            } else if(i < code.length) {
+                result += "${";
+                i += 2;
+                templates[templates.length - 1] = 1;
+                previous = "{";
+            }
+        };
+
+        while(i < code.length) {
+            let c = code[i];
+
+            if(templates.length > 0 && templates[templates.length - 1] === 0) {
+                readTemplate();
+                continue;
+            }
+
+            if(c === "/" && code[i+1] === "/") {
+                let end = code.indexOf("\n", i);
+                blank(end === -1 ? code.length : end);
+            } else if(c === "/" && code[i+1] === "*") {
+                let end = code.indexOf("*/", i + 2);
+                blank(end === -1 ? code.length : end + 2);
+            } else if(c === "\"" || c === "'") {
+                result += c;
+                i++;
+                let start = i;
+                while(i < code.length && code[i] !== c && code[i] !== "\n") {
+                    i += code[i] === "\\" ? 2 : 1;
+                }
+                let end = Math.min(i, code.length);
+                i = start;
+                blank(end);
+                if(code[i] === c) {
+                    result += c;
+                    i++;
+                }
+                previous = c;
+            } else if(c === "`") {
+                result += c;
+                i++;
+                templates.push(0);
+            } else if(c === "/" && (previous === "" || "(,=:[!&|?{};+-*%<>~^".includes(previous) || JsEvalEngine.keywordsBeforeExpression.includes(previousWord))) {
+                //A regular expression, not a division
+                result += c;
+                i++;
+                let start = i;
+                let inClass = false;
+                while(i < code.length && code[i] !== "\n" && (inClass || code[i] !== "/")) {
+                    if(code[i] === "\\") {
+                        i++;
+                    } else if(code[i] === "[") {
+                        inClass = true;
+                    } else if(code[i] === "]") {
+                        inClass = false;
+                    }
+                    i++;
+                }
+                let end = Math.min(i, code.length);
+                i = start;
+                blank(end);
+                if(code[i] === "/") {
+                    result += "/";
+                    i++;
+                }
+                previous = "/";
+                previousWord = "";
+            } else {
+                if(templates.length > 0) {
+                    if(c === "{") {
+                        templates[templates.length - 1]++;
+                    } else if(c === "}") {
+                        templates[templates.length - 1]--;
+                        if(templates[templates.length - 1] === 0) {
+                            //Back inside the template literal
+                            result += c;
+                            i++;
+                            continue;
+                        }
+                    }
+                }
+
+                let word = /^[\w$]+/.exec(code.substring(i, i + 64));
+                if(word != null) {
+                    result += word[0];
+                    i += word[0].length;
+                    previous = "a";
+                    previousWord = word[0];
+                    continue;
+                }
+
+                if(!/\s/.test(c)) {
+                    previous = c;
+                    previousWord = "";
+                }
+                result += c;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    //Get the module url of a fragment imported by another module. Javascript fragments in module mode become real modules,
+    //everything else is required and given as the default export.
+    static async moduleUrlOf(target, building) {
+        if(building.has(target)) {
+            throw new Error("Circular import between fragments: " + Array.from(building).concat(target).map((fragment)=>fragment.path).join(" -> "));
+        }
+
+        let options = JsEvalEngine.defaultOptions(target);
+
+        if(target.type !== "text/javascript" || !options.module) {
+            let source = "/* " + await JsEvalEngine.digest(target.type + "\n" + target.raw) + " */\n" +
+                "const imported = await Fragment.one(" + JSON.stringify("code-fragment[transient-fragment-uuid=\"" + target.uuid + "\"]") + ").require();\n" +
+                "export default imported;\n";
+            return JsEvalEngine.cacheModule(source).url;
+        }
+
+        if(typeof FragmentTrust !== "undefined" && FragmentTrust.enabled) {
+            await FragmentTrust.assertApproved(target);
+        }
+
+        let module = await JsEvalEngine.buildModule(target.raw, target.uuid, JsEvalEngine.moduleContextNames(options), target, building);
+
+        if(target.moduleUrl !== module.url) {
+            JsEvalEngine.prepareModuleRun(target, target.uuid, module, options, new AbortController().signal);
+        }
+
+        return module.url;
+    }
+
+    //Get a blob url for the module source, reusing the url of identical sources
+    static async cacheModule(source) {
+        let hash = await JsEvalEngine.digest(source);
+
+        let url = JsEvalEngine.moduleCache.get(hash);
+        if(url == null) {
+            url = URL.createObjectURL(new Blob([source], {type: "text/javascript"}));
+            JsEvalEngine.moduleCache.set(hash, url);
+        }
+
+        return {
+            hash: hash,
+            url: url
+        };
+    }
+
+    static forgetModule(hash) {
+        let url = JsEvalEngine.moduleCache.get(hash);
+        if(url != null) {
+            JsEvalEngine.moduleCache.delete(hash);
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    static async digest(text) {
+        let hashBytes = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+
+        return Array.prototype.map.call(new Uint8Array(hashBytes), (x)=>{
+            return ("0" + x.toString(16)).slice(-2);
+        }).join("");
+    }
+
+    //Aborts the controller when the given signal aborts, or when timeout milliseconds have passed. Returns a function that stops both.
+    static linkAbort(abortController, signal, timeout) {
+        let timeoutId = null;
+        let onAbort = ()=>{
+            abortController.abort(signal.reason);
+        };
+
+        if(signal != null) {
+            if(signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener("abort", onAbort);
+            }
+        }
+
+        if(timeout != null && timeout > 0) {
+            timeoutId = setTimeout(()=>{
+                let error = new Error("Execution timed out after " + timeout + "ms");
+                error.name = "TimeoutError";
+                abortController.abort(error);
+            }, timeout);
+        }
+
+        return ()=>{
+            clearTimeout(timeoutId);
+            if(signal != null) {
+                signal.removeEventListener("abort", onAbort);
+            }
+        };
+    }
+
+    //Runs the method with the resource tracker of the context active, so event listeners added to any target are tracked
+    static runTracked(context, method) {
+        let tracker = JsEvalEngine.resourceTrackers.get(context);
+        if(tracker == null) {
+            return method();
+        }
+
+        return tracker.run(method);
+    }
+
+    //Returns the context of a module while its prologue runs, and tracks listeners added by the synchronous part of the module
+    static enterModuleContext(key) {
+        let context = JsEvalEngine.moduleContexts.get(key);
+        let tracker = JsEvalEngine.resourceTrackers.get(context);
+
+        if(tracker != null) {
+            let previous = JsEvalEngine.activeTracker;
+            JsEvalEngine.activeTracker = tracker;
+
+            //The module body runs to its end, or its first await, before any microtask
+            queueMicrotask(()=>{
+                if(JsEvalEngine.activeTracker === tracker) {
+                    JsEvalEngine.activeTracker = previous;
+                }
+            });
+        }
+
+        return context;
+    }
+
+    //Make addEventListener on any EventTarget report to the active resource tracker
+    static installListenerTracking() {
+        if(JsEvalEngine.nativeAddEventListener != null) {
+            return;
+        }
+
+        let nativeAdd = EventTarget.prototype.addEventListener;
+        let nativeRemove = EventTarget.prototype.removeEventListener;
+
+        JsEvalEngine.nativeAddEventListener = nativeAdd;
+        JsEvalEngine.nativeRemoveEventListener = nativeRemove;
+
+        EventTarget.prototype.addEventListener = function addEventListener(type, listener, options) {
+            if(JsEvalEngine.activeTracker != null && listener != null) {
+                JsEvalEngine.activeTracker.addListener(this, type, listener, options);
+            }
+
+            return nativeAdd.call(this, type, listener, options);
+        };
+
+        EventTarget.prototype.removeEventListener = function removeEventListener(type, listener, options) {
+            if(JsEvalEngine.activeTracker != null) {
+                JsEvalEngine.activeTracker.removeListener(this, type, listener);
+            }
+
+            return nativeRemove.call(this, type, listener, options);
+        };
+    }
+
+    //Creates replacements for timers, window listeners and EventSystem callbacks, that are released when the fragment is disposed.
+    //Listeners added to other targets are tracked while the fragment code runs, which is the synchronous part of the run and
+    //the callbacks of its tracked timers and EventSystem callbacks.
+    static createResourceTracker(onDispose) {
+        JsEvalEngine.installListenerTracking();
+
+        let timeouts = new Set();
+        let intervals = new Set();
+        let listeners = [];
+        let eventCallbacks = new Set();
+
+        let tracker = {
+            run: (method)=>{
+                let previous = JsEvalEngine.activeTracker;
+                JsEvalEngine.activeTracker = tracker;
+                try {
+                    return method();
+                } finally {
+                    JsEvalEngine.activeTracker = previous;
+                }
+            },
+            addListener: (target, type, listener, options)=>{
+                listeners.push([target, type, listener, options]);
+            },
+            removeListener: (target, type, listener)=>{
+                listeners = listeners.filter((tracked)=>{
+                    return tracked[0] !== target || tracked[1] !== type || tracked[2] !== listener;
+                });
+            }
+        };
+
+        //String handlers are evaluated in the global scope, just like the browser does
+        let toFunction = (handler)=>{
+            return typeof handler === "function" ? handler : new Function(handler);
+        };
+
+        let trackedEventSystem = Object.create(EventSystem);
+        trackedEventSystem.registerEventCallback = (eventName, callback)=>{
+            let handle = EventSystem.registerEventCallback(eventName, (...callbackArgs)=>{
+                return tracker.run(()=>callback(...callbackArgs));
+            });
+            eventCallbacks.add(handle);
+
+            return {
+                delete: ()=>{
+                    eventCallbacks.delete(handle);
+                    handle.delete();
+                }
+            };
+        };
+
+        onDispose(()=>{
+            timeouts.forEach((id)=>{
+                window.clearTimeout(id);
+            });
+            intervals.forEach((id)=>{
+                window.clearInterval(id);
+            });
+            listeners.forEach(([target, type, listener, options])=>{
+                JsEvalEngine.nativeRemoveEventListener.call(target, type, listener, options);
+            });
+            eventCallbacks.forEach((handle)=>{
+                handle.delete();
+            });
+
+            timeouts.clear();
+            intervals.clear();
+            listeners = [];
+            eventCallbacks.clear();
+        });
+
+        tracker.globals = {
+            setTimeout: (handler, timeout, ...args)=>{
+                handler = toFunction(handler);
+
+                let id = window.setTimeout((...handlerArgs)=>{
+                    timeouts.delete(id);
+                    tracker.run(()=>handler(...handlerArgs));
+                }, timeout, ...args);
+                timeouts.add(id);
+                return id;
+            },
+            clearTimeout: (id)=>{
+                timeouts.delete(id);
+                window.clearTimeout(id);
+            },
+            setInterval: (handler, timeout, ...args)=>{
+                handler = toFunction(handler);
+
+                let id = window.setInterval((...handlerArgs)=>{
+                    tracker.run(()=>handler(...handlerArgs));
+                }, timeout, ...args);
+                intervals.add(id);
+                return id;
+            },
+            clearInterval: (id)=>{
+                intervals.delete(id);
+                window.clearInterval(id);
+            },
+            addEventListener: (type, listener, options)=>{
+                tracker.addListener(window, type, listener, options);
+                JsEvalEngine.nativeAddEventListener.call(window, type, listener, options);
+            },
+            removeEventListener: (type, listener, options)=>{
+                tracker.removeListener(window, type, listener);
+                JsEvalEngine.nativeRemoveEventListener.call(window, type, listener, options);
+            },
+            EventSystem: trackedEventSystem
+        };
+
+        return tracker;
+    }
+
+    //Returns the syntax error in the given code, or null, without running it
+    static checkSyntax(code, options = {}) {
+        let prefix = "";
+
+        if(options.module) {
+            //Importing a module would load and run its imports, so parse it as strict code without its import and export syntax instead
+            code = JsEvalEngine.moduleAsScript(code);
+            prefix = "\"use strict\";";
+        }
+
+        try {
+            new Function(prefix + JsEvalEngine.wrapInAsync(code));
+            return null;
+        } catch(e) {
+            return e;
+        }
+    }
+
+    //Returns the module code with its import and export declarations blanked out or turned into plain statements, keeping every line where it is
+    static moduleAsScript(code) {
+        let masked = JsEvalEngine.maskNonCode(code);
+
+        let replace = (pattern, replacement)=>{
+            let result = "";
+            let maskedResult = "";
+            let position = 0;
+
+            for(let match of masked.matchAll(pattern)) {
+                //Keep the line breaks of the replaced text
+                let replaced = replacement + match[0].replace(/[^\n]/g, "");
+
+                result += code.substring(position, match.index) + replaced;
+                maskedResult += masked.substring(position, match.index) + replaced;
+                position = match.index + match[0].length;
+            }
+
+            code = result + code.substring(position);
+            masked = maskedResult + masked.substring(position);
+        };
+
+        replace(/(?<![.\w$])import\s*\.\s*meta\b/g, "({})");
+        replace(/(?<![.\w$])import\s*(?:[\w$*{}\s,]+?\s*from\s*)?["'][^"'\n]*["']\s*;?/g, "");
+        replace(/(?<![.\w$])export\s*(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*(?:from\s*["'][^"'\n]*["'])?\s*;?/g, "");
+        replace(/(?<![.\w$])export\s+default\b/g, "void");
+        replace(/(?<![.\w$])export\b/g, "");
+
+        return code;
     }
 
     static wrapInAsync(code, methodName) {
+        //Make code async, keeping the code on the same lines
+        return `${JsEvalEngine.asyncPrefix(methodName)}${code} \n })().then(()=>{asyncResolve();}).catch((e)=>{asyncReject(e);});`;
+    }
+
+    //The wrapper text wrapInAsync puts in front of the first line of code
+    static asyncPrefix(methodName) {
         if(methodName == null) {
             methodName = "anonymousAsyncEval";
         }
 
-        //Make code async
-        return `(async function ${methodName}() { ${code} \n })().then(()=>{asyncResolve();}).catch((e)=>{asyncReject(e);});`;
+        return `(async function ${methodName}() { `;
+    }
+
+    //The url code from the fragment shows up under in devtools and stack traces, ie. codestrates/ui/widgets/button.js
+    static sourceURL(fragment) {
+        //Detached fragments have no path
+        let fragmentPath = fragment.path != null ? fragment.path : (fragment.fragmentUUID || "anonymous");
+
+        let path = fragmentPath.split("/").filter((segment)=>segment.length > 0).map((segment)=>encodeURIComponent(segment)).join("/");
+
+        //Fragments sharing a path would share the url, and be merged into one script in devtools
+        if(fragment.path != null && !JsEvalEngine.hasUniquePath(fragment)) {
+            path += "@" + encodeURIComponent(fragment.fragmentUUID);
+        }
+
+        if(!path.endsWith(".js")) {
+            path += ".js";
+        }
+
+        let sourceURL = "codestrates/" + path;
+        StackWalker.registerSourceURL(sourceURL, fragment);
+
+        return sourceURL;
+    }
+
+    //True if no other fragment in the same folder has the same name
+    static hasUniquePath(fragment) {
+        let name = Folder.nameOf(fragment.element);
+
+        return fragment.folder.fragments.every((other)=>other === fragment || Folder.nameOf(other.element) !== name);
+    }
+
+    //Appends the sourceURL, and an inline source map that maps the generated code back to the fragment code.
+    //The code must start at offset on the first generated line, with every following line unchanged.
+    static addSourceMapping(generated, code, offset, sourceURL) {
+        let mappings = [JsEvalEngine.encodeVLQ(offset) + "AAA"];
+
+        let lineCount = code.split("\n").length;
+        for(let i = 1; i < lineCount; i++) {
+            //Next source line, column 0
+            mappings.push("AACA");
+        }
+
+        let sourceMap = {
+            version: 3,
+            file: sourceURL,
+            sources: [sourceURL],
+            sourcesContent: [code],
+            names: [],
+            mappings: mappings.join(";")
+        };
+
+        return generated + "\n//# sourceURL=" + sourceURL + "\n//# sourceMappingURL=data:application/json;charset=utf-8;base64," + JsEvalEngine.toBase64(JSON.stringify(sourceMap));
+    }
+
+    static encodeVLQ(value) {
+        let characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+        let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+        let encoded = "";
+
+        do {
+            let digit = vlq & 31;
+            vlq >>>= 5;
+            if(vlq > 0) {
+                digit |= 32;
+            }
+            encoded += characters[digit];
+        } while(vlq > 0);
+
+        return encoded;
+    }
+
+    //Base64 of the utf-8 bytes of the text, btoa alone only handles latin1
+    static toBase64(text) {
+        let bytes = new TextEncoder().encode(text);
+        let binary = "";
+
+        for(let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+
+        return btoa(binary);
     }
 
     static parseErrorStack(name, stack, error) {
@@ -104,73 +892,93 @@ window.JsEvalEngine = class JsEvalEngine {
             );
         }
 
-        if(window.chrome) {
-            let stackSplit = stack.split("\n");
-
-            if(!stackSplit[0].trim().startsWith("at")) {
-                extraReason = stackSplit[0];
+        stack.split("\n").forEach((line, index)=>{
+            let trimmedLine = line.trim();
+            if(trimmedLine === "") {
+                return;
             }
 
-            stackSplit.filter((line)=>{
-                return line.trim().startsWith("at");
-            }).forEach((line)=>{
-                let trimmedLine = line.trim();
-
-                let functionName = trimmedLine.substring(3, trimmedLine.indexOf("(")).trim();
-
-                let lineNumberAndPosition = trimmedLine.substring(trimmedLine.indexOf("),")+2).trim().split(":");
+            let frame = JsEvalEngine.parseStackLine(trimmedLine);
 
-                let lineNumber = parseInt(lineNumberAndPosition[1]);
+            if(frame == null) {
+                //Chrome starts the stack with the error message
+                if(parsedStackTrace.length === 0 && !trimmedLine.startsWith("at ")) {
+                    if(index === 0) {
+                        extraReason = trimmedLine;
+                    }
+                    return;
+                }
 
-                if(Number.isNaN(lineNumber)) {
-                    lineNumber = null;
+                //Frames without a location, ie. "at async Promise.all (index 0)", are kept with just their method
+                let method = trimmedLine.startsWith("at ") ? trimmedLine.substring(3) : trimmedLine;
+                if(method.indexOf(" (") !== -1) {
+                    method = method.substring(0, method.indexOf(" ("));
                 }
 
-                parsedStackTrace.push({
-                    method: functionName,
-                    lineNumber: lineNumber,
+                frame = {
+                    method: method,
+                    lineNumber: null,
+                    columnNumber: null,
+                    url: null,
+                    fragment: null,
                     debug: trimmedLine
-                });
-            });
-        } else if (navigator.userAgent.toLowerCase().indexOf('firefox') > -1) {
-            let stackSplit = stack.split("\n");
+                };
+            }
 
-            stackSplit.forEach((line) => {
-                let trimmedLine = line.trim();
+            parsedStackTrace.push(frame);
+        });
 
-                let functionName = trimmedLine.substring(0, trimmedLine.indexOf("@")).trim();
+        return new StackWalker.StackTrace(
+            name,
+            parsedStackTrace,
+            extraReason
+        );
+    }
 
-                let lineNumberAndPosition = trimmedLine.substring(trimmedLine.lastIndexOf(">") + 2).trim().split(":");
+    //Parses a single line of a Chrome or Firefox stack trace, returns null if the line is not a stack frame
+    static parseStackLine(line) {
+        //Chrome: "at method (url:line:column)", "at url:line:column" or "at method (eval at caller (url:line:column), <anonymous>:line:column)"
+        let match = line.match(/^at (?:(.+?) \()?(.*?):(\d+):(\d+)\)?$/);
 
-                let lineNumber = parseInt(lineNumberAndPosition[1]);
+        //Firefox: "method@url:line:column" or "method@url line 12 > eval:line:column"
+        if(match == null) {
+            match = line.match(/^(.*?)@(.*):(\d+):(\d+)$/);
+        }
 
-                if (Number.isNaN(lineNumber)) {
-                    lineNumber = null;
-                }
+        if(match == null) {
+            return null;
+        }
 
-                parsedStackTrace.push({
-                    method: functionName,
-                    lineNumber: lineNumber,
-                    debug: trimmedLine
-                });
-            });
-        } else {
-            console.log("Unsupported browser for parsing stack trace: ", stack);
-            parsedStackTrace = stack;
+        let url = match[2];
+
+        //Eval frames without a sourceURL are located relative to the eval call
+        let evalLocation = url.lastIndexOf("), ");
+        if(evalLocation !== -1) {
+            url = url.substring(evalLocation + 3);
         }
 
-        return new StackWalker.StackTrace(
-            name,
-            parsedStackTrace,
-            extraReason
-        );
+        //Chrome frames without a method are named "at", which the stack clean patterns of StackWalker expect
+        let method = match[1] != null ? match[1] : (line.startsWith("at ") ? "at" : "");
+
+        return {
+            method: method,
+            lineNumber: parseInt(match[3]),
+            columnNumber: parseInt(match[4]),
+            url: url,
+            fragment: StackWalker.fragmentFromSourceURL(url),
+            debug: line
+        };
     }
 
     static defaultOptions(fragment = null) {
         return {
             context: null,
+            module: fragment != null && fragment.type === "text/javascript" && fragment.element.hasAttribute("module"),
+            signal: null,
+            timeout: null,
             exportsName: "exports",
             async: true,
+            trackResources: fragment != null && fragment.element.hasAttribute("track-resources"),
             customConsole: {
                 log: (...messages)=> {
                     JsEvalEngine.doLog(console.log, fragment, null, ...messages);
@@ -215,6 +1023,17 @@ window.JsEvalEngine = class JsEvalEngine {
     }
 };
 
+JsEvalEngine.moduleContexts = new Map();
+JsEvalEngine.moduleCache = new Map();
+JsEvalEngine.anonymousModules = 0;
+JsEvalEngine.resourceTrackers = new WeakMap();
+JsEvalEngine.activeTracker = null;
+JsEvalEngine.nativeAddEventListener = null;
+JsEvalEngine.nativeRemoveEventListener = null;
+
+//Keywords after which a / starts a regular expression instead of a division
+JsEvalEngine.keywordsBeforeExpression = ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void", "throw", "case", "do", "else", "yield", "await"];
+
 window.addEventListener("unhandledrejection", (evt)=>{
     if(evt.reason != null) {
         let parsedStack = JsEvalEngine.parseErrorStack(evt.reason.name, evt.reason.stack);
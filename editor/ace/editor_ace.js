@@ -76,6 +76,7 @@ class AceEditor extends Editor {
             self.editor = ace.edit(self.editorDiv[0]);
             self.editor.setValue(self.fragment.raw, 1);
             self.editor.session.setMode("ace/mode/"+mode);
+            self.editor.setReadOnly(self.readOnly);
 
             if(self.options.theme === "dark") {
                 self.editor.setTheme("ace/theme/merbivore");
@@ -91,9 +92,66 @@ class AceEditor extends Editor {
                 self.editorDiv[0].style.width = "100%";
             }
 
-            self.editor.session.on("change", ()=>{
-                self.handleModelChanged();
+            self.editor.session.on("change", (delta)=>{
+                let doc = self.editor.session.getDocument();
+                let text = delta.lines.join(doc.getNewLineCharacter());
+                let offset = doc.positionToIndex(delta.start);
+
+                if(delta.action === "insert") {
+                    self.handleModelEdits([{
+                        offset: offset,
+                        text: text
+                    }]);
+                } else {
+                    self.handleModelEdits([{
+                        offset: offset,
+                        removed: text,
+                        text: ""
+                    }]);
+                }
             });
+
+            self.updateAnnotations();
+            self.updateDiagnostics(self.fragment.diagnostics);
+        });
+    }
+
+    updateDiagnostics(diagnostics) {
+        if(this.editor == null) {
+            return;
+        }
+
+        this.editor.session.setAnnotations(diagnostics.map((diagnostic)=>{
+            return {
+                row: diagnostic.line != null ? diagnostic.line - 1 : 0,
+                column: diagnostic.column != null ? diagnostic.column - 1 : 0,
+                text: diagnostic.message,
+                type: diagnostic.severity
+            };
+        }));
+    }
+
+    updateAnnotations() {
+        if(this.editor == null) {
+            return;
+        }
+
+        let session = this.editor.session;
+
+        if(this.annotationMarkers != null) {
+            this.annotationMarkers.forEach((marker)=>{
+                session.removeMarker(marker);
+            });
+        }
+
+        let doc = session.getDocument();
+
+        this.annotationMarkers = this.fragment.annotations.list().map((annotation)=>{
+            let startPosition = doc.indexToPosition(annotation.start);
+            let endPosition = doc.indexToPosition(annotation.end);
+            let range = new ace.Range(startPosition.row, startPosition.column, endPosition.row, endPosition.column);
+
+            return session.addMarker(range, "codestrates-annotation", "text", false);
         });
     }
 
@@ -103,6 +161,14 @@ class AceEditor extends Editor {
         }
     }
 
+    setReadOnly(state) {
+        super.setReadOnly(state);
+
+        if(this.editor != null) {
+            this.editor.setReadOnly(state);
+        }
+    }
+
     getValue() {
         if(this.editor == null) {
             return null;
@@ -163,21 +163,53 @@ class CodemirrorEditor extends Editor {
                         mode: mode,
                         extraKeys: {"Ctrl-Space": "autocomplete"},
                         lineNumbers: true,
+                        readOnly: self.readOnly,
                         theme: theme,
                         hintOptions: {
                             container: self.html[0]
                         }
                     });
 
-                    self.editor.on("changes", ()=>{
-                        self.handleModelChanged();
+                    self.editor.on("change", (cm, change)=>{
+                        let doc = cm.getDoc();
+
+                        self.handleModelEdits([{
+                            offset: doc.indexFromPos(change.from),
+                            removed: change.removed.join(doc.lineSeparator()),
+                            text: change.text.join(doc.lineSeparator())
+                        }]);
                     });
 
+                    self.updateAnnotations();
+
                     self.onSizeChanged();
                 });
             });
         });
     }
+
+    updateAnnotations() {
+        let self = this;
+
+        if(this.editor == null) {
+            return;
+        }
+
+        if(this.annotationMarks != null) {
+            this.annotationMarks.forEach((mark)=>{
+                mark.clear();
+            });
+        }
+
+        let doc = this.editor.getDoc();
+
+        this.annotationMarks = this.fragment.annotations.list().map((annotation)=>{
+            return doc.markText(doc.posFromIndex(annotation.start), doc.posFromIndex(annotation.end), {
+                className: "codestrates-annotation",
+                title: self.getAnnotationLabel(annotation)
+            });
+        });
+    }
     
     onSizeChanged() {
         if(this.editor != null) {
@@ -190,6 +222,14 @@ class CodemirrorEditor extends Editor {
         }
     }
     
+    setReadOnly(state) {
+        super.setReadOnly(state);
+
+        if(this.editor != null) {
+            this.editor.setOption("readOnly", state);
+        }
+    }
+
     getValue() {
         if(this.editor != null) {
             return this.editor.getDoc().getValue();
@@ -114,7 +114,7 @@ class EditorManager {
      *  editor: null | EditorClass -- If not null, tries to create the specified editor
      *  theme: "light" | "dark" -- The theme to use for the editor
      *  mode: "inline" | "full" -- Inline fills the space its in, full resizes the editor to show all lines.
-     *  readOnly: true|false -- Should the editor be read only</code></pre>
+     *  readOnly: true|false -- Should the editor be read only, editors for locked fragments are always read only</code></pre>
      *
      * @example
      * let editor = EditorManager.create(Fragment.one("#myFragment"), {theme:"light", mode: "full"})[0];
@@ -237,6 +237,8 @@ class Editor {
             //Do nothing atm.
         }
 
+        this.readOnly = options.readOnly === true || fragment.locked;
+
         let self = this;
 
         this.eventDeleters.push(this.fragment.registerOnFragmentChangedHandler((context)=>{
@@ -247,14 +249,40 @@ class Editor {
             self.handleFragmentChanged();
         }));
 
-        this.eventDeleters.push(this.fragment.registerOnTextInsertedHandler((pos, val)=>{
+        this.eventDeleters.push(this.fragment.registerOnTextInsertedHandler((pos, val, record)=>{
+            if(record != null && record.context === self) {
+                return;
+            }
+
             self.handleTextInserted(pos, val);
         }));
 
-        this.eventDeleters.push(this.fragment.registerOnTextDeletedHandler((pos, val)=>{
+        this.eventDeleters.push(this.fragment.registerOnTextDeletedHandler((pos, val, record)=>{
+            if(record != null && record.context === self) {
+                return;
+            }
+
             self.handleTextDeleted(pos, val);
         }));
 
+        this.eventDeleters.push(EventSystem.registerEventCallback("Codestrates.Fragment.LockChanged", ({detail: detail})=>{
+            if(detail.fragment === self.fragment) {
+                self.setReadOnly(self.options.readOnly === true || detail.locked);
+            }
+        }));
+
+        this.eventDeleters.push(EventSystem.registerEventCallback("Codestrates.Fragment.Diagnostics", ({detail: detail})=>{
+            if(detail.fragment === self.fragment) {
+                self.updateDiagnostics(detail.diagnostics);
+            }
+        }));
+
+        this.eventDeleters.push(EventSystem.registerEventCallback("Codestrates.Fragment.MetadataChanged", ({detail: detail})=>{
+            if(detail.fragment === self.fragment) {
+                self.updateAnnotations();
+            }
+        }));
+
         this.resizeHandler = function() {
             self.onSizeChanged();
         };
@@ -297,6 +325,15 @@ class Editor {
         console.warn("Changing word wrap is not supported in this editor:"+this.constructor.name);
     }
 
+    /**
+     * Sets if this editor is read only
+     * @param {boolean} state
+     */
+    setReadOnly(state) {
+        //Override in subclass, and call super
+        this.readOnly = state;
+    }
+
     waitForDisplay() {
         let self = this;
 
@@ -401,6 +438,37 @@ class Editor {
         //Overrite in subclass
     }
 
+    /**
+     * Render the annotations of the fragment as decorations, called whenever they change
+     * @protected
+     */
+    updateAnnotations() {
+        //Override in subclass
+    }
+
+    /**
+     * Show the given diagnostics as markers, called whenever the fragment has been validated
+     * @protected
+     * @param {Fragments.Fragment~diagnostic[]} diagnostics
+     */
+    updateDiagnostics(diagnostics) {
+        //Override in subclass
+    }
+
+    /**
+     * Get the text to show when hovering an annotation
+     * @protected
+     * @param {Fragments.FragmentAnnotations~Annotation} annotation
+     * @returns {string}
+     */
+    getAnnotationLabel(annotation) {
+        if(annotation.author != null) {
+            return annotation.author + ": " + annotation.text;
+        }
+
+        return annotation.text;
+    }
+
     /**
      * @private
      */
@@ -531,12 +599,78 @@ class Editor {
     }
 
     /**
+     * A change made inside an editor
+     * @typedef {object} Editors.Editor~modelEdit
+     * @property {number} offset - The offset of the change, after all previous edits in the same batch have been applied
+     * @property {number} [removedLength] - The number of characters removed at offset
+     * @property {string} [removed] - The text removed at offset, can be given instead of removedLength
+     * @property {string} text - The text inserted at offset
+     */
+
+    /**
+     * Apply the given edits, made in this editor, to the fragment. Editor implementations call this from their native change events.
+     *
+     * Falls back to replacing the full fragment content if the edits do not match the fragment.
+     * @protected
+     * @param {Editors.Editor~modelEdit[]} edits - The edits, in the order they were applied
+     */
+    handleModelEdits(edits) {
+        if(!this.handleModelChanges) {
+            return;
+        }
+
+        if(this.fragment.locked) {
+            //Undo the edit in this editor
+            this.handleFragmentChanged();
+            return;
+        }
+
+        let ops = [];
+
+        edits.forEach((edit)=>{
+            if(edit.removed != null && edit.removed.length > 0) {
+                ops.push({type: "delete", position: edit.offset, value: edit.removed});
+            } else if(edit.removedLength > 0) {
+                ops.push({type: "delete", position: edit.offset, length: edit.removedLength});
+            }
+
+            if(edit.text != null && edit.text.length > 0) {
+                ops.push({type: "insert", position: edit.offset, value: edit.text});
+            }
+        });
+
+        if(ops.length === 0) {
+            return;
+        }
+
+        try {
+            EventSystem.triggerEvent("Codestrates.Editor.BeforeModelChanged", {
+                editor: this
+            });
+            this.fragment.applyOps(ops, this, Fragment.ChangeOrigin.EDITOR);
+            EventSystem.triggerEvent("Codestrates.Editor.AfterModelChanged", {
+                editor: this
+            });
+        } catch(e) {
+            console.warn("Editor and fragment out of sync, replacing fragment content:", e);
+            this.handleModelChanged();
+        }
+    }
+
+    /**
+     * Replace the full content of the fragment with the value of this editor, if they differ
      * @private
      */
     handleModelChanged() {
         let self = this;
         
         if(this.handleModelChanges) {
+            if(this.fragment.locked) {
+                //Undo the edit in this editor
+                this.handleFragmentChanged();
+                return;
+            }
+
             let changedValue = this.getValue();
 
             if(changedValue !== self.fragment.raw) {
@@ -548,7 +682,7 @@ class Editor {
                     EventSystem.triggerEvent("Codestrates.Editor.AfterModelChanged", {
                         editor: this
                     });
-                }, this);
+                }, this, false, Fragment.ChangeOrigin.EDITOR);
             }
         }
     }
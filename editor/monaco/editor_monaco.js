@@ -37,6 +37,7 @@ class MonacoEditor extends Editor {
         this.options = options;
 
         this.foreignDecorators = new Map();
+        this.annotationDecorations = [];
 
         this.setupEditor();
     }
@@ -147,7 +148,7 @@ class MonacoEditor extends Editor {
                         guides: {
                             bracketPairs: true
                         },
-                        readOnly: this.options.readOnly,
+                        readOnly: self.readOnly,
                         bracketPairColorization: {
                             enabled: true
                         },
@@ -175,7 +176,23 @@ class MonacoEditor extends Editor {
                     }
 
                     self.editor.getModel().onDidChangeContent((evt) => {
-                        self.handleModelChanged();
+                        if(evt.isFlush) {
+                            self.handleModelChanged();
+                            return;
+                        }
+
+                        //Monaco changes are relative to the content before the event, apply them from the end
+                        let changes = evt.changes.slice().sort((a, b)=>{
+                            return b.rangeOffset - a.rangeOffset;
+                        });
+
+                        self.handleModelEdits(changes.map((change)=>{
+                            return {
+                                offset: change.rangeOffset,
+                                removedLength: change.rangeLength,
+                                text: change.text
+                            };
+                        }));
                     });
 
                     self.editor.onDidChangeCursorSelection((evt)=>{
@@ -189,6 +206,9 @@ class MonacoEditor extends Editor {
                         });
                     });
 
+                    self.updateAnnotations();
+                    self.updateDiagnostics(self.fragment.diagnostics);
+
                     self.triggerEditorOpened();
                 });
                 loaded = true;
@@ -284,6 +304,58 @@ class MonacoEditor extends Editor {
         }
     }
 
+    updateAnnotations() {
+        let self = this;
+
+        if(this.editor == null) {
+            //Editor not ready yet.
+            return;
+        }
+
+        let model = this.editor.getModel();
+
+        let decorations = this.fragment.annotations.list().map((annotation)=>{
+            return {
+                range: monaco.Range.fromPositions(model.getPositionAt(annotation.start), model.getPositionAt(annotation.end)),
+                options: {
+                    inlineClassName: "codestrates-annotation",
+                    hoverMessage: {
+                        value: self.getAnnotationLabel(annotation)
+                    }
+                }
+            };
+        });
+
+        this.annotationDecorations = this.editor.deltaDecorations(this.annotationDecorations, decorations);
+    }
+
+    updateDiagnostics(diagnostics) {
+        if(this.editor == null) {
+            //Editor not ready yet.
+            return;
+        }
+
+        let severities = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning,
+            info: monaco.MarkerSeverity.Info
+        };
+
+        monaco.editor.setModelMarkers(this.editor.getModel(), "codestrates", diagnostics.map((diagnostic)=>{
+            let line = diagnostic.line != null ? diagnostic.line : 1;
+            let column = diagnostic.column != null ? diagnostic.column : 1;
+
+            return {
+                severity: severities[diagnostic.severity] || monaco.MarkerSeverity.Error,
+                message: diagnostic.message,
+                startLineNumber: line,
+                startColumn: column,
+                endLineNumber: line,
+                endColumn: column + 1
+            };
+        }));
+    }
+
     updateForeignSelections(remoteClient = null) {
         let self = this;
 
@@ -409,6 +481,14 @@ class MonacoEditor extends Editor {
         super.unload();
     }
 
+    setReadOnly(state) {
+        super.setReadOnly(state);
+
+        if(this.editor != null) {
+            this.editor.updateOptions({"readOnly": state});
+        }
+    }
+
     setWordwrap(state) {
         if(this.editor != null) {
             this.editor.updateOptions({"wordWrap": state?"on":"off"});
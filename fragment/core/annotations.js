@@ -0,0 +1,313 @@
+/**
+ *  FragmentAnnotations
+ *  Comments anchored to ranges of fragment content
+ *
+ *  Copyright 2020, 2021 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+**/
+
+/* global Fragment, EventSystem, UUIDGenerator, WPMv2, webstrate */
+
+/**
+ * @typedef {Object} Fragments.FragmentAnnotations~Annotation
+ * @property {string} id - The id of the annotation
+ * @property {number} start - Start of the annotated range in the fragment content
+ * @property {number} end - End of the annotated range in the fragment content
+ * @property {string} text - The comment
+ * @property {string} author - Who added the annotation, if known
+ * @property {number} created - When the annotation was added, in milliseconds since epoch
+ * @property {boolean} resolved - True if the annotation has been resolved
+ * @property {string} quote - The currently annotated text
+ */
+
+/**
+ * Comments anchored to ranges of a fragment. The anchors follow the text as it is edited.
+ *
+ * Annotations are stored as a <fragment-annotations> child of the code-fragment element, so they are shared with all collaborators.
+ * Anchors are moved for edits of any origin. Each annotation remembers the content length its anchors belong to, so anchors
+ * already moved by the collaborator making the edit are not moved again.
+ *
+ * Use Fragment.annotations to get the annotations of a fragment.
+ * @hideconstructor
+ * @memberof Fragments
+ */
+class FragmentAnnotations {
+    constructor(fragment) {
+        let self = this;
+
+        this.fragment = fragment;
+
+        /**
+         * The change record currently being applied to the anchors, and the annotations it moves
+         * @private
+         */
+        this.movingRecord = null;
+        this.movingElements = [];
+
+        fragment.registerOnTextInsertedHandler((pos, val, record)=>{
+            //Text inserted at the start of a range goes before it, and at the end goes after it
+            self.moveAnchors((start)=>{
+                return start >= pos ? start + val.length : start;
+            }, (end)=>{
+                return end > pos ? end + val.length : end;
+            }, record);
+        });
+
+        fragment.registerOnTextDeletedHandler((pos, val, record)=>{
+            let moveAnchor = (anchor)=>{
+                return anchor > pos ? Math.max(pos, anchor - val.length) : anchor;
+            };
+            self.moveAnchors(moveAnchor, moveAnchor, record);
+        });
+    }
+
+    /**
+     * Get the element holding the annotations
+     * @private
+     * @param {boolean} [create=false] - Create the element if missing
+     * @returns {Element}
+     */
+    getContainer(create = false) {
+        let container = Array.from(this.fragment.element.children).find((child)=>child.nodeName === "FRAGMENT-ANNOTATIONS");
+
+        if(container == null && create) {
+            container = document.createElement("fragment-annotations");
+            this.fragment.element.appendChild(container);
+            WPMv2.stripProtection(container);
+        }
+
+        return container || null;
+    }
+
+    /**
+     * @private
+     * @returns {Element[]}
+     */
+    getAnnotationElements() {
+        let container = this.getContainer();
+        if(container == null) {
+            return [];
+        }
+
+        return Array.from(container.children).filter((child)=>child.nodeName === "FRAGMENT-ANNOTATION");
+    }
+
+    /**
+     * @private
+     * @param {string} id
+     * @returns {Element}
+     */
+    getAnnotationElement(id) {
+        let element = this.getAnnotationElements().find((element)=>element.getAttribute("data-id") === id);
+        if(element == null) {
+            throw new Error("No annotation with id " + id);
+        }
+
+        return element;
+    }
+
+    /**
+     * @private
+     * @param {Element} element
+     * @param {string} content - The current content of the fragment
+     * @returns {Fragments.FragmentAnnotations~Annotation}
+     */
+    toAnnotation(element, content) {
+        let start = parseInt(element.getAttribute("data-start"));
+        let end = parseInt(element.getAttribute("data-end"));
+
+        return {
+            id: element.getAttribute("data-id"),
+            start: start,
+            end: end,
+            text: element.getAttribute("data-text"),
+            author: element.getAttribute("data-author"),
+            created: parseInt(element.getAttribute("data-created")),
+            resolved: element.hasAttribute("data-resolved"),
+            quote: content.substring(start, end)
+        };
+    }
+
+    /**
+     * List the annotations of the fragment, ordered by their position
+     * @example
+     * Fragment.one("#myFragment").annotations.list().forEach((annotation)=>{
+     *     console.log(annotation.quote, annotation.text);
+     * });
+     * @param {object} [options]
+     * @param {boolean} [options.includeResolved=false] - Also list resolved annotations
+     * @returns {Fragments.FragmentAnnotations~Annotation[]}
+     */
+    list(options = {}) {
+        let self = this;
+        let content = this.fragment.raw;
+
+        return this.getAnnotationElements().map((element)=>{
+            return self.toAnnotation(element, content);
+        }).filter((annotation)=>{
+            return options.includeResolved || !annotation.resolved;
+        }).sort((a, b)=>{
+            return a.start - b.start || a.end - b.end;
+        });
+    }
+
+    /**
+     * Get a single annotation
+     * @param {string} id - The id of the annotation
+     * @returns {Fragments.FragmentAnnotations~Annotation} - The annotation, or null if not found
+     */
+    get(id) {
+        let element = this.getAnnotationElements().find((element)=>element.getAttribute("data-id") === id);
+        if(element == null) {
+            return null;
+        }
+
+        return this.toAnnotation(element, this.fragment.raw);
+    }
+
+    /**
+     * Add an annotation to a range of the fragment
+     * @example
+     * Fragment.one("#myFragment").annotations.add(120, 180, "This loop is O(n²)");
+     * @param {number} start - Start of the range
+     * @param {number} end - End of the range
+     * @param {string} text - The comment
+     * @param {object} [options]
+     * @param {string} [options.author] - Who is adding the annotation, defaults to the current webstrates user
+     * @returns {Fragments.FragmentAnnotations~Annotation} - The added annotation
+     */
+    add(start, end, text, options = {}) {
+        let content = this.fragment.raw;
+
+        if(start < 0 || end < start || end > content.length) {
+            throw new Error("Annotation range " + start + "-" + end + " is outside the fragment content of length " + content.length);
+        }
+
+        let author = options.author;
+        if(author == null && typeof webstrate !== "undefined" && webstrate.user != null) {
+            author = webstrate.user.username;
+        }
+
+        let element = document.createElement("fragment-annotation");
+        element.setAttribute("data-id", UUIDGenerator.generateUUID("annotation-"));
+        element.setAttribute("data-start", start);
+        element.setAttribute("data-end", end);
+        element.setAttribute("data-length", content.length);
+        element.setAttribute("data-text", text);
+        element.setAttribute("data-created", Date.now());
+        if(author != null) {
+            element.setAttribute("data-author", author);
+        }
+
+        this.getContainer(true).appendChild(element);
+
+        return this.toAnnotation(element, content);
+    }
+
+    /**
+     * Mark an annotation as resolved, it is kept but no longer listed by default
+     * @param {string} id - The id of the annotation
+     */
+    resolve(id) {
+        this.getAnnotationElement(id).setAttribute("data-resolved", Date.now());
+    }
+
+    /**
+     * Reopen a resolved annotation
+     * @param {string} id - The id of the annotation
+     */
+    reopen(id) {
+        this.getAnnotationElement(id).removeAttribute("data-resolved");
+    }
+
+    /**
+     * Remove an annotation completely
+     * @param {string} id - The id of the annotation
+     */
+    remove(id) {
+        this.getAnnotationElement(id).remove();
+    }
+
+    /**
+     * Get the annotations whose anchors still need to be moved for the given change
+     * @private
+     * @param {Fragments.Fragment~changeRecord} record
+     * @returns {Element[]}
+     */
+    getElementsToMove(record) {
+        if(record == null) {
+            return this.getAnnotationElements();
+        }
+
+        if(this.movingRecord !== record) {
+            this.movingRecord = record;
+
+            //Annotations already at the length after the change were moved by whoever made it, and arrived through the DOM
+            this.movingElements = this.getAnnotationElements().filter((element)=>{
+                let length = element.getAttribute("data-length");
+                return length == null || parseInt(length) === record.beforeLength || record.beforeLength === record.afterLength;
+            });
+        }
+
+        return this.movingElements;
+    }
+
+    /**
+     * Move the anchors of all annotations after an edit
+     * @private
+     * @param {Function} moveStart - Computes the new start of a range
+     * @param {Function} moveEnd - Computes the new end of a range
+     * @param {Fragments.Fragment~changeRecord} [record] - The change the edit is part of
+     */
+    moveAnchors(moveStart, moveEnd, record = null) {
+        this.getElementsToMove(record).forEach((element)=>{
+            let start = parseInt(element.getAttribute("data-start"));
+            let end = parseInt(element.getAttribute("data-end"));
+
+            let newStart = moveStart(start);
+            let newEnd = Math.max(newStart, moveEnd(end));
+
+            if(newStart !== start) {
+                element.setAttribute("data-start", newStart);
+            }
+            if(newEnd !== end) {
+                element.setAttribute("data-end", newEnd);
+            }
+            if(record != null && element.getAttribute("data-length") !== String(record.afterLength)) {
+                element.setAttribute("data-length", record.afterLength);
+            }
+        });
+    }
+
+    /**
+     * Make sure annotations of all current and future fragments follow edits, even if nobody has asked for them yet
+     * @private
+     */
+    static setup() {
+        Fragment.find("code-fragment").forEach((fragment)=>{
+            fragment.annotations;
+        });
+
+        EventSystem.registerEventCallback("Codestrates.Fragment.StateChanged", ({detail: detail})=>{
+            if(detail.previousStatus === null) {
+                detail.fragment.annotations;
+            }
+        });
+    }
+}
+
+window.FragmentAnnotations = FragmentAnnotations;
+
+FragmentAnnotations.setup();
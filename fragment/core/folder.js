@@ -0,0 +1,480 @@
+/**
+ *  Folder
+ *  A tree model over the code-folder and wpm-package elements in Codestrates
+ *
+ *  Copyright 2020, 2021 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+**/
+
+/* global Fragment, EventSystem, WPMv2, Node */
+
+/**
+ * Triggers when folders or fragments are added, removed, moved or renamed anywhere in the tree
+ * @event Fragments.Folder.EventSystem:"Codestrates.Folder.TreeChanged"
+ * @type {Event}
+ * @property {Element[]} added - Folder and fragment elements that were added or moved
+ * @property {Element[]} removed - Folder and fragment elements that were removed
+ * @property {Element[]} renamed - Folder and fragment elements whose name or id changed
+ */
+
+/**
+ * A folder in the fragment tree, representing a <code-folder></code-folder> or <wpm-package></wpm-package> tag.
+ *
+ * The root folder represents the document body, and contains everything not inside another folder.
+ * @hideconstructor
+ * @memberof Fragments
+ */
+class Folder {
+    constructor(element) {
+        this.element = element;
+        element.folder = this;
+    }
+
+    /**
+     * Get the folder representing the given element
+     * @param {Element|Fragments.Folder} element - A code-folder or wpm-package element, or document.body for the root
+     * @returns {Fragments.Folder} - The folder, or null if the element is not a folder
+     */
+    static from(element) {
+        if(element instanceof Folder) {
+            return element;
+        }
+
+        if(element == null || (element !== document.body && !Folder.isFolderElement(element))) {
+            return null;
+        }
+
+        if(element.folder != null) {
+            return element.folder;
+        }
+
+        return new Folder(element);
+    }
+
+    /**
+     * The root folder of the tree
+     * @returns {Fragments.Folder}
+     */
+    static root() {
+        return Folder.from(document.body);
+    }
+
+    /**
+     * Check if a node is a folder element
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    static isFolderElement(node) {
+        return node != null && Folder.folderElements.includes(node.nodeName);
+    }
+
+    /**
+     * Find the folder containing the given node
+     * @param {Node|Fragments.Fragment|Fragments.Folder} node
+     * @returns {Fragments.Folder} - The closest folder, the root folder if not inside any folder, or null if the node is not in the DOM
+     */
+    static of(node) {
+        if(node instanceof Fragment || node instanceof Folder) {
+            node = node.element;
+        }
+
+        if(node === document.body) {
+            return null;
+        }
+
+        let parent = node.parentNode;
+        while(parent != null && parent !== document.body) {
+            if(Folder.isFolderElement(parent)) {
+                return Folder.from(parent);
+            }
+            parent = parent.parentNode;
+        }
+
+        if(parent == null) {
+            return null;
+        }
+
+        return Folder.root();
+    }
+
+    /**
+     * Resolve a path from the root folder
+     * @example
+     * let button = Folder.resolve("/ui/widgets/button.js");
+     * @param {string} path
+     * @returns {Fragments.Folder|Fragments.Fragment} - The folder or fragment at the path, or null if nothing was found
+     */
+    static resolve(path) {
+        return Folder.root().resolve(path);
+    }
+
+    /**
+     * Get the name used for a folder or fragment element in paths
+     * @param {Element} element
+     * @returns {string}
+     */
+    static nameOf(element) {
+        let name = element.hasAttribute("name") ? element.getAttribute("name").trim() : "";
+        if(name.length > 0) {
+            return name;
+        }
+
+        let id = element.hasAttribute("id") ? element.getAttribute("id").trim() : "";
+        if(id.length > 0) {
+            return "#" + id;
+        }
+
+        if(Folder.isFolderElement(element)) {
+            return element.nodeName.toLowerCase();
+        }
+
+        return "@" + (element.fragment != null ? element.fragment.fragmentUUID : element.getAttribute("data-uuid"));
+    }
+
+    /**
+     * Check if an element matches the given path segment, either by name, by name without extension or by #id
+     * @param {Element} element
+     * @param {string} segment
+     * @returns {boolean}
+     * @private
+     */
+    static matchesSegment(element, segment) {
+        let name = Folder.nameOf(element);
+        if(name === segment) {
+            return true;
+        }
+
+        if(segment.startsWith("#")) {
+            return element.getAttribute("id") === segment.substring(1);
+        }
+
+        if(segment.startsWith("@")) {
+            let fragmentUUID = element.fragment != null ? element.fragment.fragmentUUID : element.getAttribute("data-uuid");
+            return fragmentUUID === segment.substring(1);
+        }
+
+        let extensionLocation = segment.lastIndexOf(".");
+        if(extensionLocation > 0) {
+            return name === segment.substring(0, extensionLocation);
+        }
+
+        return false;
+    }
+
+    /**
+     * The name of this folder
+     * @type {string}
+     */
+    get name() {
+        if(this.isRoot) {
+            return "";
+        }
+
+        return Folder.nameOf(this.element);
+    }
+
+    set name(name) {
+        this.rename(name);
+    }
+
+    /**
+     * True if this is the root folder
+     * @type {boolean}
+     */
+    get isRoot() {
+        return this.element === document.body;
+    }
+
+    /**
+     * True if this folder is a wpm-package
+     * @type {boolean}
+     */
+    get isPackage() {
+        return this.element.nodeName === "WPM-PACKAGE";
+    }
+
+    /**
+     * The folder containing this folder, null for the root folder
+     * @type {Fragments.Folder}
+     */
+    get parent() {
+        return Folder.of(this.element);
+    }
+
+    /**
+     * The absolute path of this folder, ie. /ui/widgets
+     * @type {string}
+     */
+    get path() {
+        if(this.isRoot) {
+            return "/";
+        }
+
+        let parent = this.parent;
+        if(parent == null || parent.isRoot) {
+            return "/" + this.name;
+        }
+
+        return parent.path + "/" + this.name;
+    }
+
+    /**
+     * The folders and fragments directly inside this folder, in DOM order
+     * @type {Array<Fragments.Folder|Fragments.Fragment>}
+     */
+    get children() {
+        let children = [];
+
+        let walk = (element)=>{
+            Array.from(element.children).forEach((child)=>{
+                if(Folder.isFolderElement(child)) {
+                    children.push(Folder.from(child));
+                } else if(child.matches("code-fragment")) {
+                    if(child.fragment != null) {
+                        children.push(child.fragment);
+                    }
+                } else {
+                    walk(child);
+                }
+            });
+        };
+
+        walk(this.element);
+
+        return children;
+    }
+
+    /**
+     * The folders directly inside this folder
+     * @type {Fragments.Folder[]}
+     */
+    get folders() {
+        return this.children.filter((child)=>child instanceof Folder);
+    }
+
+    /**
+     * The fragments directly inside this folder
+     * @type {Fragments.Fragment[]}
+     */
+    get fragments() {
+        return this.children.filter((child)=>child instanceof Fragment);
+    }
+
+    /**
+     * Resolve a path relative to this folder. Paths starting with / are resolved from the root folder.
+     *
+     * Segments match folders and fragments by name, by name with an extension (ie. button.js) or by #id.
+     * @example
+     * let button = Folder.root().resolve("ui/widgets/button.js");
+     * let sibling = someFolder.resolve("../other");
+     * @param {string} path
+     * @returns {Fragments.Folder|Fragments.Fragment} - The folder or fragment at the path, or null if nothing was found
+     */
+    resolve(path) {
+        let current = this;
+
+        if(path.startsWith("/")) {
+            current = Folder.root();
+        }
+
+        let segments = path.split("/").filter((segment)=>segment.length > 0);
+
+        for(let i = 0; i < segments.length; i++) {
+            let segment = segments[i];
+
+            if(!(current instanceof Folder)) {
+                //Fragments have no children
+                return null;
+            }
+
+            if(segment === ".") {
+                continue;
+            }
+
+            if(segment === "..") {
+                current = current.isRoot ? current : current.parent;
+                if(current == null) {
+                    return null;
+                }
+                continue;
+            }
+
+            let isLast = i === segments.length - 1;
+            let children = current.children;
+
+            //Prefer folders for intermediate segments, and fragments for the last one
+            let matches = children.filter((child)=>Folder.matchesSegment(child.element, segment));
+            let match = matches.find((child)=>(child instanceof Folder) !== isLast) || matches[0];
+
+            if(match == null) {
+                return null;
+            }
+
+            current = match;
+        }
+
+        return current;
+    }
+
+    /**
+     * Check if a folder or fragment is somewhere inside this folder
+     * @param {Fragments.Folder|Fragments.Fragment|Node} item
+     * @returns {boolean}
+     */
+    contains(item) {
+        let node = item instanceof Node ? item : item.element;
+        return node !== this.element && this.element.contains(node);
+    }
+
+    /**
+     * Create a new folder inside this folder
+     * @param {string} name - The name of the new folder
+     * @param {object} [options]
+     * @param {boolean} [options.package=false] - Create a wpm-package instead of a code-folder
+     * @returns {Fragments.Folder} - The created folder
+     */
+    createFolder(name, options = {}) {
+        let element = document.createElement(options.package ? "wpm-package" : "code-folder");
+        element.setAttribute("name", name);
+
+        this.element.appendChild(element);
+        WPMv2.stripProtection(element);
+
+        return Folder.from(element);
+    }
+
+    /**
+     * Rename this folder
+     * @param {string} name
+     */
+    rename(name) {
+        if(this.isRoot) {
+            throw new Error("The root folder can not be renamed");
+        }
+
+        this.element.setAttribute("name", name);
+    }
+
+    /**
+     * Move this folder, and everything inside it, into another folder
+     * @param {Fragments.Folder|Element} folder - The folder to move into
+     */
+    moveTo(folder) {
+        if(this.isRoot) {
+            throw new Error("The root folder can not be moved");
+        }
+
+        folder = Folder.from(folder);
+        if(folder == null) {
+            throw new Error("Can only move into a folder");
+        }
+
+        if(folder === this || this.contains(folder)) {
+            throw new Error("Can not move a folder into itself");
+        }
+
+        //The automatic dom of the contained fragments sits next to them inside this folder, so it moves along
+        folder.element.appendChild(this.element);
+    }
+
+    /**
+     * Delete this folder, and everything inside it
+     */
+    delete() {
+        if(this.isRoot) {
+            throw new Error("The root folder can not be deleted");
+        }
+
+        this.element.remove();
+    }
+
+    /**
+     * Observe the DOM and trigger tree change events
+     * @private
+     */
+    static setupTreeObserver() {
+        let isTreeElement = (node)=>{
+            return node.nodeType === Node.ELEMENT_NODE && (Folder.isFolderElement(node) || node.matches("code-fragment"));
+        };
+
+        let collectTreeElements = (node, result)=>{
+            if(node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+            if(isTreeElement(node)) {
+                result.add(node);
+            }
+            node.querySelectorAll(Folder.folderElements.join(",") + ",code-fragment").forEach((child)=>{
+                result.add(child);
+            });
+        };
+
+        let observer = new MutationObserver((mutations)=>{
+            let added = new Set();
+            let removed = new Set();
+            let renamed = new Set();
+
+            mutations.forEach((mutation)=>{
+                if(mutation.type === "attributes") {
+                    if(isTreeElement(mutation.target)) {
+                        renamed.add(mutation.target);
+                    }
+                    return;
+                }
+
+                mutation.addedNodes.forEach((node)=>{
+                    collectTreeElements(node, added);
+                });
+                mutation.removedNodes.forEach((node)=>{
+                    collectTreeElements(node, removed);
+                });
+            });
+
+            //Moved elements show up as both removed and added
+            removed.forEach((element)=>{
+                if(element.isConnected) {
+                    removed.delete(element);
+                }
+            });
+
+            if(added.size === 0 && removed.size === 0 && renamed.size === 0) {
+                return;
+            }
+
+            EventSystem.triggerEvent("Codestrates.Folder.TreeChanged", {
+                added: Array.from(added),
+                removed: Array.from(removed),
+                renamed: Array.from(renamed)
+            });
+        });
+
+        observer.observe(document, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            attributeFilter: ["name", "id"]
+        });
+    }
+}
+
+/**
+ * The element names that are considered folders
+ * @type {string[]}
+ */
+Folder.folderElements = ["CODE-FOLDER", "WPM-PACKAGE"];
+
+window.Folder = Folder;
+
+Folder.setupTreeObserver();
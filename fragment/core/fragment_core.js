@@ -18,11 +18,61 @@
  *  limitations under the License.
 **/
 
-/* global cQuery, webstrate, HTMLElement, NodeList, UUIDGenerator, Observer, WPMv2, Text, DIFF_INSERT, DIFF_DELETE, wpm */
+/* global cQuery, webstrate, HTMLElement, Node, NodeList, UUIDGenerator, Observer, WPMv2, Text, DIFF_INSERT, DIFF_DELETE, DIFF_EQUAL, wpm, EventSystem, Folder, FragmentHistory, FragmentAnnotations, SafeMode, FragmentTrust */
 
 const dmp = new diff_match_patch();
 let legacyWarningCounter = 0;
 
+/**
+ * Triggers when the fragments declared with the requires attribute form a cycle
+ * @event Fragments.Fragment.EventSystem:"Codestrates.Fragment.DependencyCycle"
+ * @type {Event}
+ * @property {Fragments.Fragment[]} cycle - The fragments that are part of the cycle, in dependency order
+ */
+
+/**
+ * Triggers when the status of a fragment changes
+ * @event Fragments.Fragment.EventSystem:"Codestrates.Fragment.StateChanged"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment that changed status
+ * @property {string} status - The new status, one of Fragment.Status
+ * @property {string} previousStatus - The previous status, null when the fragment was just created
+ * @property {*} error - The error that caused the fragment to fail, only set when status is errored
+ */
+
+/**
+ * Triggers when a hot fragment has been re-run after an edit
+ * @event Fragments.Fragment.EventSystem:"Codestrates.Fragment.HotReloaded"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment that was reloaded
+ * @property {*} result - The result of the new require
+ */
+
+/**
+ * Triggers when the metadata stored inside a fragment element changes, ie. its annotations
+ * @event Fragments.Fragment.EventSystem:"Codestrates.Fragment.MetadataChanged"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment whose metadata changed
+ */
+
+/**
+ * Triggers when a fragment is locked or unlocked, by this or another client
+ * @event Fragments.Fragment.EventSystem:"Codestrates.Fragment.LockChanged"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment that was locked or unlocked
+ * @property {boolean} locked - True if the fragment is now locked
+ * @property {string} owner - Who holds the lock, null if unlocked
+ * @property {string} reason - Why the fragment is locked, null if unlocked
+ */
+
+/**
+ * Triggers when a fragment has been validated
+ * @event Fragments.Fragment.EventSystem:"Codestrates.Fragment.Diagnostics"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment that was validated
+ * @property {Fragments.Fragment~diagnostic[]} diagnostics - The problems found, empty if the fragment is valid
+ */
+
 /**
  * @namespace Fragments
  */
@@ -73,18 +123,85 @@ class Fragment {
         this.fragmentUnloadedCallbacks = [];
         this.fragmentClassChangedCallbacks = [];
         this.fragmentAutoChangedCallbacks = [];
+        this.fragmentDisposeCallbacks = [];
+        this.fragmentHotReloadCallbacks = [];
 
         this.uuid = UUIDGenerator.generateUUID("fragment-");
 
+        /**
+         * Timings recorded while loading and running this fragment, see Fragment.loadReport
+         * @type {Fragments.Fragment~Timings}
+         * @private
+         */
+        this.timings = {
+            phases: [],
+            cacheHits: 0,
+            cacheMisses: 0
+        };
+
+        /**
+         * The revision of this fragment, increased every time a change is recorded
+         * @type {number}
+         */
+        this.revision = 0;
+        this.knownLength = null;
+        this.codeChangePending = false;
+
+        /**
+         * The last error that made this fragment fail, or null
+         * @type {*}
+         */
+        this.lastError = null;
+
+        /**
+         * The current status of this fragment, one of Fragment.Status
+         * @type {string}
+         */
+        this.status = null;
+        this.setStatus(Fragment.Status.UNLOADED);
+
+        /**
+         * True if safe mode skipped the autorun of this fragment, automatic dom and hot reload are then disabled as well
+         * @type {boolean}
+         */
+        this.skipped = false;
+
+        //Wrap the require of the fragment type, so the status follows every require call, and middleware can wrap it
+        this.activeRequires = 0;
+        let typeRequire = this.require;
+        this.require = (options = {}, ...args)=>{
+            return self.trackRequire(()=>{
+                return Fragment.runRequireMiddleware(self, options, (middlewareOptions)=>{
+                    return typeRequire.call(self, middlewareOptions, ...args);
+                });
+            }, options != null ? options.signal : null, options != null && options.autoDom === true);
+        };
+
         //Setup autodom and make it able to wait until it is complete.
         this.autoDomDirty = true;
         this.autoDomReady = false;
         this.setupAutoDomHandling();
+        this.setupHotReloadHandling();
+
+        this.lastDiagnostics = null;
+        this.setupValidationHandling();
 
         this.element.setAttribute("transient-fragment-uuid", this.uuid);
 
         this.setupObservers();
         this.startObserver();
+
+        //Fragments with a uuid derived from their id (ie. legacy or copy/pasted) store it on the first local edit, never just by loading
+        this.registerOnFragmentChangedHandler((context, record)=>{
+            if(record != null && record.origin !== Fragment.ChangeOrigin.REMOTE) {
+                self.storeFragmentUUID();
+            }
+        });
+
+        //Detached fragments are indexed once they are inserted, see setupFragment
+        if(this.element.isConnected) {
+            Fragment.addToIndex(this);
+        }
     }
 
     /**
@@ -108,7 +225,8 @@ class Fragment {
      * @param {Text} textContentNode - The text node to check
      */
     checkTextContentNode(textContentNode) {
-        if(textContentNode.childNodes.length > 1) {
+        let contentNodes = Array.from(textContentNode.childNodes).filter((node)=>!Fragment.isMetadataNode(node));
+        if(contentNodes.length > 1) {
             console.warn("More than 1 childnode...", textContentNode.childNodes);
         }
     }
@@ -119,13 +237,14 @@ class Fragment {
      * @param {number} pos - The position the event happened
      * @param {string} val - The value of the event
      * @param {insert|delete} type - The type of the event
+     * @param {Fragments.Fragment~changeRecord} record - The change record the operation is part of
      */
-    insertDeleteCallback(pos, val, type) {
+    insertDeleteCallback(pos, val, type, record) {
         switch (type) {
             case "insert":
             {
                 this.textInsertedCallbacks.forEach((callback) => {
-                    callback(pos, val);
+                    callback(pos, val, record);
                 });
                 
                 break;
@@ -133,7 +252,7 @@ class Fragment {
             case "delete":
             {
                 this.textDeletedCallbacks.forEach((callback) => {
-                    callback(pos, val);
+                    callback(pos, val, record);
                 });
                 
                 break;
@@ -141,6 +260,365 @@ class Fragment {
         }
     }
 
+    /**
+     * An insert or delete operation on the text of a fragment
+     * @typedef {Object} Fragments.Fragment~changeOp
+     * @property {string} type - "insert" or "delete"
+     * @property {number} position - The position of the operation, after all previous operations of the change have been applied
+     * @property {string} value - The text that was inserted or deleted
+     */
+
+    /**
+     * A record describing a change to a fragment
+     * @typedef {Object} Fragments.Fragment~changeRecord
+     * @property {Fragments.Fragment~changeOp[]} ops - The text operations of the change, empty if only attributes or nodes changed
+     * @property {string} origin - Where the change came from, one of Fragment.ChangeOrigin
+     * @property {number} beforeLength - The length of the fragment text before the change
+     * @property {number} afterLength - The length of the fragment text after the change
+     * @property {number} revision - The revision of the fragment after the change
+     * @property {*} context - The context that made the change
+     */
+
+    /**
+     * Create a change record for a change that has just been applied, and increase the revision
+     * @private
+     * @param {Fragments.Fragment~changeOp[]} ops - The operations of the change
+     * @param {string} origin - One of Fragment.ChangeOrigin
+     * @param {*} context - The context that made the change
+     * @returns {Fragments.Fragment~changeRecord}
+     */
+    createChangeRecord(ops, origin, context) {
+        let afterLength = this.raw.length;
+        let beforeLength = this.knownLength;
+
+        if(beforeLength == null) {
+            beforeLength = ops.reduce((length, op)=>{
+                return op.type === "insert" ? length - op.value.length : length + op.value.length;
+            }, afterLength);
+        }
+
+        this.knownLength = afterLength;
+        this.revision++;
+
+        return {
+            ops: ops,
+            origin: origin,
+            beforeLength: beforeLength,
+            afterLength: afterLength,
+            revision: this.revision,
+            context: context
+        };
+    }
+
+    /**
+     * Compute the insert/delete operations that turns one text into another
+     * @private
+     * @param {string} oldValue - The text before
+     * @param {string} newValue - The text after
+     * @returns {Fragments.Fragment~changeOp[]}
+     */
+    static computeOps(oldValue, newValue) {
+        let ops = [];
+
+        let patches = dmp.patch_make(oldValue, newValue);
+        Array.from(patches).forEach((patch)=>{
+            //Position in the new text, as all previous patches have been applied when this one is
+            let offset = patch.start2;
+            patch.diffs.forEach((diff) => {
+                let type = diff[0];
+                let value = diff[1];
+
+                switch(type) {
+                    case DIFF_INSERT:
+                        ops.push({type: "insert", position: offset, value: value});
+                        offset += value.length;
+                        break;
+                    case DIFF_DELETE:
+                        ops.push({type: "delete", position: offset, value: value});
+                        break;
+                    case DIFF_EQUAL:
+                        offset += value.length;
+                        break;
+                }
+            });
+        });
+
+        return ops;
+    }
+
+    /**
+     * One side of a diff, either a fragment, a string or a revision from the history of a fragment
+     * @typedef {Fragments.Fragment|string|{fragment: Fragments.Fragment, revision: number}} Fragments.Fragment~diffSide
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~diffResult
+     * @property {string} fromName - Name of the old side, the fragment path or "a"
+     * @property {string} toName - Name of the new side, the fragment path or "b"
+     * @property {boolean} identical - True if both sides have the same content
+     * @property {Fragments.Fragment~diffHunk[]} hunks - The changed regions, with surrounding context lines
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~diffHunk
+     * @property {number} oldStart - First line of the hunk in the old text, 1-based
+     * @property {number} oldLines - Number of old lines in the hunk
+     * @property {number} newStart - First line of the hunk in the new text, 1-based
+     * @property {number} newLines - Number of new lines in the hunk
+     * @property {Fragments.Fragment~diffLine[]} lines - Context, deleted and inserted lines, in order
+     * @property {Fragments.Fragment~diffChange[]} changes - Each run of deleted and inserted lines, with word-level changes
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~diffLine
+     * @property {string} type - "equal", "delete" or "insert"
+     * @property {string} text - The line, without line break
+     * @property {number} [oldLine] - Line number in the old text, not set for inserted lines
+     * @property {number} [newLine] - Line number in the new text, not set for deleted lines
+     * @property {boolean} [noNewline] - True if this is the last line of its text, and has no line break
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~diffChange
+     * @property {number} oldLine - The line in the old text the change starts at
+     * @property {number} newLine - The line in the new text the change starts at
+     * @property {string[]} removed - The deleted lines
+     * @property {string[]} added - The inserted lines
+     * @property {Array<{type: string, text: string}>} words - Word-level changes turning the removed lines into the added lines, type is "equal", "delete" or "insert"
+     */
+
+    /**
+     * Compute a line-based diff, with word-level changes, between two fragments, strings or historical revisions
+     * @example
+     * let diff = await Fragment.diff(Fragment.one("#myFragment"), "some new content");
+     * let sinceRevision = await Fragment.diff({fragment: Fragment.one("#myFragment"), revision: 3}, Fragment.one("#myFragment"));
+     * console.log(Fragment.formatUnifiedDiff(sinceRevision));
+     * @param {Fragments.Fragment~diffSide} a - The old side
+     * @param {Fragments.Fragment~diffSide} b - The new side
+     * @param {object} [options]
+     * @param {number} [options.context=3] - Number of unchanged lines to include around each change
+     * @returns {Promise<Fragments.Fragment~diffResult>}
+     */
+    static async diff(a, b, options = {}) {
+        let context = options.context != null ? options.context : 3;
+
+        let from = await Fragment.resolveDiffSide(a, "a");
+        let to = await Fragment.resolveDiffSide(b, "b");
+
+        let lines = [];
+        let oldLine = 1;
+        let newLine = 1;
+
+        Fragment.diffTokens(Fragment.splitLines(from.content), Fragment.splitLines(to.content)).forEach(([type, tokens])=>{
+            tokens.forEach((token)=>{
+                let line = {
+                    type: type,
+                    text: token.endsWith("\n") ? token.substring(0, token.length - 1) : token
+                };
+                if(!token.endsWith("\n")) {
+                    line.noNewline = true;
+                }
+                if(type !== "insert") {
+                    line.oldLine = oldLine++;
+                }
+                if(type !== "delete") {
+                    line.newLine = newLine++;
+                }
+                lines.push(line);
+            });
+        });
+
+        //Find the ranges of lines to show, merging changes whose context overlaps
+        let ranges = [];
+        lines.forEach((line, index)=>{
+            if(line.type === "equal") {
+                return;
+            }
+
+            let start = Math.max(0, index - context);
+            let end = Math.min(lines.length, index + context + 1);
+            let current = ranges[ranges.length - 1];
+
+            if(current != null && start <= current.end) {
+                current.end = end;
+            } else {
+                ranges.push({start: start, end: end});
+            }
+        });
+
+        let hunks = ranges.map((range)=>{
+            let hunkLines = lines.slice(range.start, range.end);
+            let before = lines.slice(0, range.start);
+
+            let hunk = {
+                oldStart: before.filter((line)=>line.type !== "insert").length + 1,
+                oldLines: hunkLines.filter((line)=>line.type !== "insert").length,
+                newStart: before.filter((line)=>line.type !== "delete").length + 1,
+                newLines: hunkLines.filter((line)=>line.type !== "delete").length,
+                lines: hunkLines,
+                changes: []
+            };
+
+            let change = null;
+            hunkLines.forEach((line, index)=>{
+                if(line.type === "equal") {
+                    change = null;
+                    return;
+                }
+
+                if(change == null) {
+                    change = {
+                        oldLine: hunk.oldStart + hunkLines.slice(0, index).filter((l)=>l.type !== "insert").length,
+                        newLine: hunk.newStart + hunkLines.slice(0, index).filter((l)=>l.type !== "delete").length,
+                        removed: [],
+                        added: []
+                    };
+                    hunk.changes.push(change);
+                }
+
+                (line.type === "delete" ? change.removed : change.added).push(line.text);
+            });
+
+            hunk.changes.forEach((change)=>{
+                change.words = Fragment.diffTokens(Fragment.splitWords(change.removed.join("\n")), Fragment.splitWords(change.added.join("\n"))).map(([type, tokens])=>{
+                    return {
+                        type: type,
+                        text: tokens.join("")
+                    };
+                });
+            });
+
+            return hunk;
+        });
+
+        return {
+            fromName: from.name,
+            toName: to.name,
+            identical: from.content === to.content,
+            hunks: hunks
+        };
+    }
+
+    /**
+     * Render the hunks of a diff as unified diff text
+     * @example
+     * let text = Fragment.formatUnifiedDiff(await Fragment.diff(fragmentA, fragmentB));
+     * @param {Fragments.Fragment~diffResult} diff - The diff to render
+     * @returns {string} - The unified diff, or an empty string if there are no changes
+     */
+    static formatUnifiedDiff(diff) {
+        if(diff.hunks.length === 0) {
+            return "";
+        }
+
+        let output = ["--- " + diff.fromName, "+++ " + diff.toName];
+
+        diff.hunks.forEach((hunk)=>{
+            //Empty ranges point at the line before them
+            let oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+            let newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+
+            output.push("@@ -" + oldStart + "," + hunk.oldLines + " +" + newStart + "," + hunk.newLines + " @@");
+
+            hunk.lines.forEach((line)=>{
+                let prefix = line.type === "insert" ? "+" : (line.type === "delete" ? "-" : " ");
+                output.push(prefix + line.text);
+                if(line.noNewline) {
+                    output.push("\\ No newline at end of file");
+                }
+            });
+        });
+
+        return output.join("\n") + "\n";
+    }
+
+    /**
+     * Get the name and content of one side of a diff
+     * @private
+     * @param {Fragments.Fragment~diffSide} side
+     * @param {string} defaultName - Name to use for plain strings
+     * @returns {Promise<{name: string, content: string}>}
+     */
+    static async resolveDiffSide(side, defaultName) {
+        if(typeof side === "string") {
+            return {name: defaultName, content: side};
+        }
+
+        if(side instanceof Fragment) {
+            return {name: side.path || defaultName, content: side.raw};
+        }
+
+        if(side != null && side.fragment instanceof Fragment && side.revision != null) {
+            let snapshot = await FragmentHistory.getSnapshot(side.fragment, side.revision);
+            if(snapshot == null) {
+                throw new Error("No history revision " + side.revision + " for fragment");
+            }
+
+            return {name: (side.fragment.path || defaultName) + "@" + side.revision, content: snapshot.content};
+        }
+
+        throw new Error("Unable to diff " + side + ", expected a fragment, a string or {fragment, revision}");
+    }
+
+    /**
+     * Split text into lines, keeping the line breaks
+     * @private
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static splitLines(text) {
+        return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    }
+
+    /**
+     * Split text into words, whitespace and punctuation
+     * @private
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static splitWords(text) {
+        return text.match(/\w+|\s+|[^\w\s]/g) || [];
+    }
+
+    /**
+     * Diff two arrays of tokens, by letting diff_match_patch diff a character per unique token
+     * @private
+     * @param {string[]} from
+     * @param {string[]} to
+     * @returns {Array<Array>} - Pairs of type ("equal", "delete" or "insert") and the tokens
+     */
+    static diffTokens(from, to) {
+        let tokenArray = [];
+        let tokenIndexes = new Map();
+
+        let encode = (tokens)=>{
+            return tokens.map((token)=>{
+                if(!tokenIndexes.has(token)) {
+                    tokenIndexes.set(token, tokenArray.length);
+                    tokenArray.push(token);
+                }
+                return String.fromCharCode(tokenIndexes.get(token));
+            }).join("");
+        };
+
+        let fromChars = encode(from);
+        let toChars = encode(to);
+
+        if(tokenArray.length > 65535) {
+            //Too many unique tokens to encode, treat everything as changed
+            return [["delete", from], ["insert", to]].filter(([type, tokens])=>tokens.length > 0);
+        }
+
+        let types = {};
+        types[DIFF_EQUAL] = "equal";
+        types[DIFF_DELETE] = "delete";
+        types[DIFF_INSERT] = "insert";
+
+        return dmp.diff_main(fromChars, toChars, false).map(([operation, chars])=>{
+            return [types[operation], chars.split("").map((c)=>tokenArray[c.charCodeAt(0)])];
+        });
+    }
+
     /**
      * Handle the given mutations
      * @private
@@ -153,11 +631,31 @@ class Fragment {
 
         let sendUpdateCallback = false;
 
+        let ops = [];
+
+        let metadataChanged = false;
+
+        let lockChanged = false;
+
         mutations.forEach((mutation) => {
+            if(self.isMetadataMutation(mutation)) {
+                metadataChanged = true;
+                return;
+            }
+
+            if (mutation.type === "attributes" && Fragment.lockAttributes.includes(mutation.attributeName) && mutation.target === self.element) {
+                lockChanged = true;
+                return;
+            }
+
             if(mutation.type === "attributes") {
                 sendUpdateCallback = true;
             }
 
+            if (mutation.type === "attributes" && Fragment.indexedAttributes.includes(mutation.attributeName) && mutation.target === self.element) {
+                Fragment.reindex(self);
+            }
+
             if (mutation.type === "attributes" && mutation.attributeName === "auto" && mutation.target === self.element) {
                 //If auto attribute changed, trigger onAutoChanged
                 self.onAutoChanged(self.auto);
@@ -179,27 +677,7 @@ class Fragment {
                 mutation.target.characterDataAlreadyHandled = true;
                 
                 //If characterData mutation, generate insert/delete ops
-                let patches = dmp.patch_make(oldValue, newValue);
-                Array.from(patches).forEach((patch)=>{
-                    let offset = patch.start1;
-                    patch.diffs.forEach((diff) => {
-                        let type = diff[0];
-                        let value = diff[1];
-                        
-                        switch(type) {
-                            case DIFF_INSERT:
-                                self.insertDeleteCallback(offset, value, "insert");
-                                offset += value.length;
-                                break;
-                            case DIFF_DELETE:
-                                self.insertDeleteCallback(offset, value, "delete");
-                                break;
-                            case DIFF_EQUAL:
-                                offset += value.length;
-                                break;
-                        }
-                    });
-                });
+                ops.push(...Fragment.computeOps(oldValue, newValue));
             } else if(mutation.type === "childList") {
                 sendUpdateCallback = true;
             }
@@ -209,21 +687,83 @@ class Fragment {
             target.characterDataAlreadyHandled = false;
         });
 
+        if(metadataChanged) {
+            EventSystem.triggerEvent("Codestrates.Fragment.MetadataChanged", {
+                fragment: this
+            });
+        }
+
+        if(lockChanged) {
+            EventSystem.triggerEvent("Codestrates.Fragment.LockChanged", {
+                fragment: this,
+                locked: this.locked,
+                owner: this.lockOwner,
+                reason: this.lockReason
+            });
+        }
+
+        if(!sendUpdateCallback && ops.length === 0) {
+            return;
+        }
+
+        //Changes made through the raw setter are from code, anything else from the outside
+        let origin = this.codeChangePending ? Fragment.ChangeOrigin.CODE : Fragment.ChangeOrigin.REMOTE;
+        this.codeChangePending = false;
+
+        let record = this.createChangeRecord(ops, origin, this);
+
+        ops.forEach((op)=>{
+            self.insertDeleteCallback(op.position, op.value, op.type, record);
+        });
+
         //Only send
         if(this.element.parentNode != null && sendUpdateCallback) {
             //Dont do changed callbacks if we are not in the dom?
-            this.triggerFragmentChanged(this);
+            this.triggerFragmentChanged(this, record);
+        }
+    }
+
+    /**
+     * Check if a mutation only touches metadata stored inside the fragment element, and not its content
+     * @private
+     * @param {MutationRecord} mutation
+     * @returns {boolean}
+     */
+    isMetadataMutation(mutation) {
+        let node = mutation.target;
+        while(node != null && node !== this.element) {
+            if(Fragment.isMetadataNode(node)) {
+                return true;
+            }
+            node = node.parentNode;
+        }
+
+        if(mutation.type === "childList") {
+            let nodes = Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes));
+            return nodes.length > 0 && nodes.every((node)=>Fragment.isMetadataNode(node));
         }
+
+        return false;
+    }
+
+    /**
+     * Check if a node is a metadata element stored inside a fragment element, which is not part of the fragment content
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    static isMetadataNode(node) {
+        return node != null && Fragment.metadataElements.includes(node.nodeName);
     }
 
     /**
      * @private
      * @param context
+     * @param {Fragments.Fragment~changeRecord} record
      */
-    triggerFragmentChanged(context) {
+    triggerFragmentChanged(context, record) {
         this.fragmentChangedCallbacks.slice().forEach((callback) => {
             try {
-                callback(context);
+                callback(context, record);
             } catch(e) {
                 console.group("Error: "+e);
                 console.log("Callback:", callback);
@@ -260,6 +800,8 @@ class Fragment {
         if(this.observer == null) {
             return;
         }
+
+        this.observing = true;
         
         this.observer.observe(this.element, {
             attributes: true,
@@ -287,6 +829,7 @@ class Fragment {
         }
 
         this.observer.disconnect();
+        this.observing = false;
     }
 
     /**
@@ -295,8 +838,10 @@ class Fragment {
      * @protected
      * @param {Function} method - Method to call. Important: cannot be async or return a promise, the observer will be restarted as soon as this method returns.
      * @param {Object} context - Context to pass along to the callbacks
+     * @param {boolean} [skipChangeCheck] - Trigger the changed callbacks without checking if the content changed, the change record will have no ops
+     * @param {string} [origin] - Where the change comes from, one of Fragment.ChangeOrigin
      */
-    executeObserverless(method, context, skipChangeCheck=false) {
+    executeObserverless(method, context, skipChangeCheck=false, origin=Fragment.ChangeOrigin.CODE) {
         this.stopObserver();
 
         let before = null;
@@ -310,8 +855,20 @@ class Fragment {
         
         this.startObserver();
 
-        if(skipChangeCheck || before !== this.raw) {
-            this.triggerFragmentChanged(context);
+        if(skipChangeCheck) {
+            this.triggerFragmentChanged(context, this.createChangeRecord([], origin, context));
+        } else {
+            let after = this.raw;
+            if(before !== after) {
+                let self = this;
+                let record = this.createChangeRecord(Fragment.computeOps(before, after), origin, context);
+
+                record.ops.forEach((op)=>{
+                    self.insertDeleteCallback(op.position, op.value, op.type, record);
+                });
+
+                this.triggerFragmentChanged(context, record);
+            }
         }
     }
 
@@ -337,72 +894,389 @@ class Fragment {
     }
 
     set raw(content) {
-        if(this.getTextContentNode().firstChild instanceof Text) {
-            this.getTextContentNode().firstChild.nodeValue = content;
+        this.assertUnlocked();
+
+        if(this.observing) {
+            this.codeChangePending = true;
+        }
+
+        let textNode = this.getTextNode();
+        if(textNode != null) {
+            textNode.nodeValue = content;
         } else {
-            this.getTextContentNode().textContent = content;
+            this.replaceTextContent(content);
         }
     }
 
     /**
-     * The auto attribute of this fragment, toggles automatic behaviour on/off
-     * @type {boolean}
+     * Replace all content nodes of this fragment with a single text node, keeping any metadata elements
+     * @private
+     * @param {string} content
      */
-    get auto() {
-        return this.element.hasAttribute("auto");
-    }
+    replaceTextContent(content) {
+        let textContentNode = this.getTextContentNode();
 
-    set auto(auto) {
-        if (auto) {
-            this.element.setAttribute("auto", "");
-        } else {
-            this.element.removeAttribute("auto");
-        }
+        Array.from(textContentNode.childNodes).forEach((node)=>{
+            if(!Fragment.isMetadataNode(node)) {
+                node.remove();
+            }
+        });
+
+        textContentNode.insertBefore(document.createTextNode(content), textContentNode.firstChild);
     }
 
     /**
-     * @callback Fragments.Fragment~fragmentChangedCallback
-     * @param {Fragment|Object} context - The context that called the callback
+     * Get the text node holding the content of this fragment, creating it if the fragment is empty
+     * @protected
+     * @ignore
+     * @returns {Text} - The text node, or null if the content is not a single text node
      */
+    getTextNode() {
+        let textContentNode = this.getTextContentNode();
+
+        if(textContentNode.firstChild instanceof Text) {
+            return textContentNode.firstChild;
+        }
+
+        if(textContentNode.firstChild == null || Fragment.isMetadataNode(textContentNode.firstChild)) {
+            let textNode = document.createTextNode("");
+            textContentNode.insertBefore(textNode, textContentNode.firstChild);
+            return textNode;
+        }
+
+        return null;
+    }
 
     /**
-     * Register a callback to be run when this fragments content changes.
+     * Apply the given insert/delete operations to the text of this fragment, in order.
+     *
+     * Only the affected ranges of the text node are modified, and the insert/delete callbacks are called directly.
+     * A delete operation can give the deleted text as value, or the number of characters to delete as length.
      *
      * @example
-     * Fragment.one("#myFragment").registerOnFragmentChangedHandler((context)=>{
-     *     //Fragment has changed
-     * });
+     * Fragment.one("#myFragment").applyOps([
+     *     {type: "delete", position: 0, length: 5},
+     *     {type: "insert", position: 0, value: "Hello"}
+     * ]);
      *
-     * @param {Fragments.Fragment~fragmentChangedCallback} callback - The callback that is run when fragment content changes
+     * @param {Fragments.Fragment~changeOp[]} ops - The operations to apply
+     * @param {*} [context] - The context to pass along to the callbacks
+     * @param {string} [origin] - Where the change comes from, one of Fragment.ChangeOrigin
+     * @returns {Fragments.Fragment~changeRecord} - The record of the change, or null if there was nothing to apply
      */
-    registerOnFragmentChangedHandler(callback) {
+    applyOps(ops, context = this, origin = Fragment.ChangeOrigin.CODE) {
         let self = this;
 
-        this.fragmentChangedCallbacks.push(callback);
+        this.assertUnlocked();
 
-        return {
-            delete: ()=>{
-                self.unRegisterOnFragmentChangedHandler(callback);
-            }
+        if(ops.length === 0) {
+            return null;
         }
-    }
 
-    /**
-     * Unregister a callback handler
-     * @param {Fragments.Fragment~fragmentChangedCallback} callback - The callback to unregister
-     */
-    unRegisterOnFragmentChangedHandler(callback) {
-        this.fragmentChangedCallbacks.splice(this.fragmentChangedCallbacks.indexOf(callback), 1);
-    }
+        //Run any pending mutations first, so the ops are applied to the current content
+        this.stopObserver();
 
-    /**
-     * @callback Fragments.Fragment~fragmentUnloadedCallback
-     * @param {Fragments.Fragment} fragment - The fragment that called the callback
-     */
+        let appliedOps = [];
 
-    /**
-     * Register a callback to run when this fragment is unloaded
-     *
+        try {
+            let textNode = this.getTextNode();
+            let text = textNode != null ? textNode.data : this.raw;
+
+            //Validate all ops before touching the dom
+            ops.forEach((op)=>{
+                if(op.position < 0 || op.position > text.length) {
+                    throw new Error("Operation position "+op.position+" is outside the fragment content of length "+text.length);
+                }
+
+                switch(op.type) {
+                    case "insert":
+                        appliedOps.push({type: "insert", position: op.position, value: op.value});
+                        text = text.substring(0, op.position) + op.value + text.substring(op.position);
+                        break;
+                    case "delete": {
+                        let length = op.value != null ? op.value.length : op.length;
+                        let value = text.substr(op.position, length);
+
+                        if(value.length !== length || (op.value != null && op.value !== value)) {
+                            throw new Error("Delete operation does not match the fragment content at position "+op.position);
+                        }
+
+                        appliedOps.push({type: "delete", position: op.position, value: value});
+                        text = text.substring(0, op.position) + text.substring(op.position + length);
+                        break;
+                    }
+                    default:
+                        throw new Error("Unknown operation type: "+op.type);
+                }
+            });
+
+            if(textNode != null) {
+                appliedOps.forEach((op)=>{
+                    if(op.type === "insert") {
+                        textNode.insertData(op.position, op.value);
+                    } else {
+                        textNode.deleteData(op.position, op.value.length);
+                    }
+                });
+            } else {
+                this.replaceTextContent(text);
+            }
+        } finally {
+            this.startObserver();
+        }
+
+        let record = this.createChangeRecord(appliedOps, origin, context);
+
+        appliedOps.forEach((op)=>{
+            self.insertDeleteCallback(op.position, op.value, op.type, record);
+        });
+
+        this.triggerFragmentChanged(context, record);
+
+        return record;
+    }
+
+    /**
+     * Insert text into this fragment
+     * @example
+     * Fragment.one("#myFragment").insert(0, "//Header\n");
+     * @param {number} position - The position to insert at
+     * @param {string} text - The text to insert
+     * @returns {Fragments.Fragment~changeRecord}
+     */
+    insert(position, text) {
+        return this.applyOps([{type: "insert", position: position, value: text}]);
+    }
+
+    /**
+     * Delete text from this fragment
+     * @example
+     * Fragment.one("#myFragment").delete(0, 9);
+     * @param {number} position - The position to delete from
+     * @param {number} length - The number of characters to delete
+     * @returns {Fragments.Fragment~changeRecord}
+     */
+    delete(position, length) {
+        return this.applyOps([{type: "delete", position: position, length: length}]);
+    }
+
+    /**
+     * Replace the text between start and end with the given text
+     * @example
+     * Fragment.one("#myFragment").replaceRange(0, 5, "Hello");
+     * @param {number} start - The start of the range
+     * @param {number} end - The end of the range
+     * @param {string} text - The text to insert instead
+     * @returns {Fragments.Fragment~changeRecord}
+     */
+    replaceRange(start, end, text) {
+        let ops = [];
+
+        if(end > start) {
+            ops.push({type: "delete", position: start, length: end - start});
+        }
+
+        if(text.length > 0) {
+            ops.push({type: "insert", position: start, value: text});
+        }
+
+        return this.applyOps(ops);
+    }
+
+    /**
+     * Apply a diff_match_patch patch to this fragment. Patches are applied fuzzily, like diff_match_patch.patch_apply.
+     * @example
+     * let patch = dmp.patch_toText(dmp.patch_make(oldText, newText));
+     * Fragment.one("#myFragment").applyPatch(patch);
+     * @param {string|Array} patch - The patch in textual form, or an array of patch objects
+     * @returns {boolean[]} - Whether each patch could be applied
+     */
+    applyPatch(patch) {
+        let patches = typeof patch === "string" ? dmp.patch_fromText(patch) : patch;
+
+        let raw = this.raw;
+        let [patched, results] = dmp.patch_apply(patches, raw);
+
+        this.applyOps(Fragment.computeOps(raw, patched));
+
+        return results;
+    }
+
+    /**
+     * True if this fragment is locked. The content of a locked fragment can not be changed through the fragment api, and editors open read only.
+     *
+     * The lock is advisory: it is stored in attributes on the fragment element, so anyone able to edit the document can remove or change it,
+     * and changes made directly in the dom, or by collaborators, are not stopped by it.
+     * @type {boolean}
+     */
+    get locked() {
+        return this.element.hasAttribute("locked");
+    }
+
+    /**
+     * Who holds the lock on this fragment, or null if unlocked
+     * @type {string}
+     */
+    get lockOwner() {
+        return this.locked ? this.element.getAttribute("lock-owner") : null;
+    }
+
+    /**
+     * Why this fragment is locked, or null if unlocked
+     * @type {string}
+     */
+    get lockReason() {
+        return this.locked ? this.element.getAttribute("lock-reason") : null;
+    }
+
+    /**
+     * Lock this fragment, so its content can not be changed until it is unlocked
+     * @example
+     * Fragment.one("#myFragment").lock({reason: "Used by the production setup"});
+     * @param {object} [options]
+     * @param {string} [options.owner] - Who holds the lock, defaults to the current webstrates user
+     * @param {string} [options.reason] - Why the fragment is locked
+     * @param {boolean} [options.force=false] - Take the lock even if it is held by someone else
+     */
+    lock(options = {}) {
+        let owner = options.owner;
+        if(owner == null && typeof webstrate !== "undefined" && webstrate.user != null) {
+            owner = webstrate.user.username;
+        }
+
+        if(this.locked && !options.force && this.lockOwner !== owner) {
+            throw new Error("Fragment is already locked by "+this.lockOwner);
+        }
+
+        this.element.setAttribute("locked", "");
+
+        if(owner != null) {
+            this.element.setAttribute("lock-owner", owner);
+        } else {
+            this.element.removeAttribute("lock-owner");
+        }
+
+        if(options.reason != null) {
+            this.element.setAttribute("lock-reason", options.reason);
+        } else {
+            this.element.removeAttribute("lock-reason");
+        }
+    }
+
+    /**
+     * Unlock this fragment
+     * @example
+     * Fragment.one("#myFragment").unlock();
+     * @param {object} [options]
+     * @param {boolean} [options.force=false] - Release the lock even if it is held by someone else
+     */
+    unlock(options = {}) {
+        if(!this.locked) {
+            return;
+        }
+
+        let owner = typeof webstrate !== "undefined" && webstrate.user != null ? webstrate.user.username : null;
+        let lockOwner = this.lockOwner;
+
+        if(!options.force && lockOwner != null && lockOwner !== owner) {
+            throw new Error("Fragment is locked by "+lockOwner+", use force to unlock it anyway");
+        }
+
+        Fragment.lockAttributes.forEach((attribute)=>{
+            this.element.removeAttribute(attribute);
+        });
+    }
+
+    /**
+     * Throw if this fragment is locked
+     * @private
+     */
+    assertUnlocked() {
+        if(this.locked) {
+            let reason = this.lockReason;
+            throw new Error("Fragment is locked"+(this.lockOwner != null ? " by "+this.lockOwner : "")+(reason != null ? ": "+reason : ""));
+        }
+    }
+
+    /**
+     * The auto attribute of this fragment, toggles automatic behaviour on/off
+     * @type {boolean}
+     */
+    get auto() {
+        return this.element.hasAttribute("auto");
+    }
+
+    set auto(auto) {
+        if (auto) {
+            this.element.setAttribute("auto", "");
+        } else {
+            this.element.removeAttribute("auto");
+        }
+    }
+
+    /**
+     * @callback Fragments.Fragment~fragmentChangedCallback
+     * @param {Fragment|Object} context - The context that called the callback
+     * @param {Fragments.Fragment~changeRecord} record - A record describing the change
+     */
+
+    /**
+     * The hot attribute of this fragment, toggles re-running the fragment when it is edited. Only has effect on auto fragments.
+     * @type {boolean}
+     */
+    get hot() {
+        return this.element.hasAttribute("hot");
+    }
+
+    set hot(hot) {
+        if (hot) {
+            this.element.setAttribute("hot", "");
+        } else {
+            this.element.removeAttribute("hot");
+        }
+    }
+
+    /**
+     * Register a callback to be run when this fragments content changes.
+     *
+     * @example
+     * Fragment.one("#myFragment").registerOnFragmentChangedHandler((context, record)=>{
+     *     //Fragment has changed
+     *     if(record.origin === Fragment.ChangeOrigin.REMOTE) {
+     *         //Changed by a collaborator
+     *     }
+     * });
+     *
+     * @param {Fragments.Fragment~fragmentChangedCallback} callback - The callback that is run when fragment content changes
+     */
+    registerOnFragmentChangedHandler(callback) {
+        let self = this;
+
+        this.fragmentChangedCallbacks.push(callback);
+
+        return {
+            delete: ()=>{
+                self.unRegisterOnFragmentChangedHandler(callback);
+            }
+        }
+    }
+
+    /**
+     * Unregister a callback handler
+     * @param {Fragments.Fragment~fragmentChangedCallback} callback - The callback to unregister
+     */
+    unRegisterOnFragmentChangedHandler(callback) {
+        this.fragmentChangedCallbacks.splice(this.fragmentChangedCallbacks.indexOf(callback), 1);
+    }
+
+    /**
+     * @callback Fragments.Fragment~fragmentUnloadedCallback
+     * @param {Fragments.Fragment} fragment - The fragment that called the callback
+     */
+
+    /**
+     * Register a callback to run when this fragment is unloaded
+     *
      * @example
      * Fragment.one("#myFragment").registerOnFragmentUnloadedHandler(()=>{
      *     //Fragment is unloaded
@@ -430,6 +1304,90 @@ class Fragment {
         this.fragmentUnloadedCallbacks.splice(this.fragmentUnloadedCallbacks.indexOf(callback), 1);
     }
 
+    /**
+     * @callback Fragments.Fragment~disposeCallback
+     * @param {Fragments.Fragment} fragment - The fragment being disposed
+     */
+
+    /**
+     * Register a callback to run the next time this fragment is disposed, ie. when it is re-run or unloaded.
+     *
+     * The callback is only run once, code that is re-run has to register it again.
+     *
+     * @example
+     * let interval = setInterval(tick, 1000);
+     * Fragment.one("#myFragment").registerOnDisposeHandler(()=>{
+     *     clearInterval(interval);
+     * });
+     *
+     * @param {Fragments.Fragment~disposeCallback} callback - The callback to run when the fragment is disposed
+     */
+    registerOnDisposeHandler(callback) {
+        let self = this;
+
+        this.fragmentDisposeCallbacks.push(callback);
+
+        return {
+            delete: ()=>{
+                let index = self.fragmentDisposeCallbacks.indexOf(callback);
+                if(index !== -1) {
+                    self.fragmentDisposeCallbacks.splice(index, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Release everything the last run of this fragment registered for disposal
+     * @example
+     * Fragment.one("#myFragment").dispose();
+     */
+    dispose() {
+        let self = this;
+
+        let callbacks = this.fragmentDisposeCallbacks;
+        this.fragmentDisposeCallbacks = [];
+
+        callbacks.forEach((callback)=>{
+            try {
+                callback(self);
+            } catch(e) {
+                console.error("Error while disposing fragment:", self, e);
+            }
+        });
+    }
+
+    /**
+     * @callback Fragments.Fragment~hotReloadCallback
+     * @param {Fragments.Fragment} fragment - The fragment that was reloaded
+     * @param {*} result - The result of the new require
+     */
+
+    /**
+     * Register a callback to run when this fragment has been hot reloaded, ie. to re-bind to its new exports
+     *
+     * @example
+     * Fragment.one("#utils").registerOnHotReloadHandler((fragment, exports)=>{
+     *     utils = exports;
+     * });
+     *
+     * @param {Fragments.Fragment~hotReloadCallback} callback - The callback to run when the fragment is hot reloaded
+     */
+    registerOnHotReloadHandler(callback) {
+        let self = this;
+
+        this.fragmentHotReloadCallbacks.push(callback);
+
+        return {
+            delete: ()=>{
+                let index = self.fragmentHotReloadCallbacks.indexOf(callback);
+                if(index !== -1) {
+                    self.fragmentHotReloadCallbacks.splice(index, 1);
+                }
+            }
+        }
+    }
+
     /**
      * @callback Fragments.Fragment~autoChangedCallback
      * @param {Fragments.Fragment} fragment - The fragment
@@ -470,6 +1428,7 @@ class Fragment {
      * @callback Fragments.Fragment~textInsertedCallback
      * @param {number} position - The position where the text was inserted
      * @param {string} value - The value of inserted text
+     * @param {Fragments.Fragment~changeRecord} record - The change the insert is part of
      */
 
     /**
@@ -498,6 +1457,7 @@ class Fragment {
      * @callback Fragments.Fragment~textDeletedCallback
      * @param {number} position - The position where the text was deleted
      * @param {string} value - The value of deleted text
+     * @param {Fragments.Fragment~changeRecord} record - The change the delete is part of
      */
 
     /**
@@ -561,92 +1521,749 @@ class Fragment {
     }
 
     /**
-     * The type of this fragment
-     * @type {string}
-     * @readonly
+     * Get the fragments this fragment declares that it requires, using the requires attribute.
+     *
+     * The requires attribute is a css selector, ie. requires="#utils, #store"
+     *
+     * @example
+     * let dependencies = Fragment.one("#myFragment").getRequiredFragments();
+     *
+     * @returns {Fragments.Fragment[]} - The required fragments, empty if none is declared
      */
-    get type() {
-        return this.element.getAttribute("data-type");
+    getRequiredFragments() {
+        let requires = this.element.getAttribute("requires");
+
+        if(requires == null || requires.trim() === "") {
+            return [];
+        }
+
+        try {
+            return Fragment.find(requires).filter((fragment)=>{
+                return fragment !== this;
+            });
+        } catch(e) {
+            console.warn("Invalid requires attribute on fragment:", requires, this);
+            return [];
+        }
     }
 
     /**
-     * Require this fragment and return the result. What require does depends on what type of fragment it is.
-     * @example
-     * let result = await Fragment.one("#myFragment").require()
+     * Check if this fragment can be loaded without waiting for the fragments before it in the document.
      *
-     * @abstract
-     * @param {json} [options] - The options to pass to require
-     * @returns {*} result of the require action
+     * Fragments with automatic dom, like css, markdown and scss, only render their own content next to themselves, so they are independent by default.
+     * Other fragments opt in to loading concurrently with the independent attribute, or by declaring what they need in the requires attribute.
+     * Independent fragments still wait for the fragments they declare in their requires attribute, while all other fragments,
+     * and fragments with independent="false", wait for every fragment before them in the document.
+     *
+     * @returns {boolean}
      */
-    async require(options = {}) {
-        //Ovewritten in subclass
+    isIndependent() {
+        if(this.element.hasAttribute("independent")) {
+            return this.element.getAttribute("independent") !== "false";
+        }
+
+        let requires = this.element.getAttribute("requires");
+        return (requires != null && requires.trim() !== "") || this.supportsAutoDom();
     }
 
     /**
-     * Tell this fragment to unload itself
-     * @example
-     * Fragment.one("#myFragment").unload();
+     * The persistent uuid of this fragment, stored in the data-uuid attribute.
+     *
+     * Unlike uuid, which changes on every page load, this identifies the fragment across reloads and clients.
+     * Fragments without a data-uuid, or sharing it with a fragment earlier in the document, get a uuid derived from their id,
+     * which is the same on every client, and is stored the first time the fragment is edited locally.
+     * Fragments without a unique id get a uuid that only lasts for this page load, until a new uuid is stored the first time they are edited locally.
+     * Reading the uuid never changes the document.
+     * @type {string}
+     * @readonly
      */
-    unload() {
-        let self = this;
-        
-        this.fragmentUnloadedCallbacks.slice().forEach((callback)=>{
-            callback(self);
+    get fragmentUUID() {
+        let fragmentUUID = this.element.getAttribute("data-uuid");
+
+        if(fragmentUUID != null && !Fragment.isFragmentUUIDTaken(fragmentUUID, this.element)) {
+            return fragmentUUID;
+        }
+
+        let derived = Fragment.deriveFragmentUUID(this.element);
+        if(derived != null) {
+            return derived;
+        }
+
+        return Fragment.transientUUIDPrefix + this.uuid;
+    }
+
+    /**
+     * True if this fragment has a data-uuid of its own, that is not taken by a fragment earlier in the document
+     * @type {boolean}
+     * @readonly
+     */
+    get hasPersistentUUID() {
+        let fragmentUUID = this.element.getAttribute("data-uuid");
+        return fragmentUUID != null && !Fragment.isFragmentUUIDTaken(fragmentUUID, this.element);
+    }
+
+    /**
+     * Store the fragment uuid in the data-uuid attribute, if it is derived or missing
+     * @private
+     * @returns {string} - The stored uuid
+     */
+    storeFragmentUUID() {
+        if(this.hasPersistentUUID) {
+            return this.element.getAttribute("data-uuid");
+        }
+
+        let fragmentUUID = Fragment.deriveFragmentUUID(this.element) ?? Fragment.generateFragmentUUID();
+
+        //Storing the uuid is not a change of the fragment
+        let wasObserving = this.observing;
+        this.stopObserver();
+        this.element.setAttribute("data-uuid", fragmentUUID);
+        if(wasObserving) {
+            this.startObserver();
+        }
+
+        return fragmentUUID;
+    }
+
+    /**
+     * The type of this fragment
+     * @type {string}
+     * @readonly
+     */
+    get type() {
+        return this.element.getAttribute("data-type");
+    }
+
+    /**
+     * Require this fragment and return the result. What require does depends on what type of fragment it is.
+     * @example
+     * let result = await Fragment.one("#myFragment").require()
+     *
+     * @abstract
+     * @param {json} [options] - The options to pass to require
+     * @returns {*} result of the require action
+     */
+    async require(options = {}) {
+        //Ovewritten in subclass
+    }
+
+    /**
+     * Run the given require method, while keeping the status of this fragment updated
+     * @private
+     * @param {Function} method - The method that does the actual require
+     * @param {AbortSignal} [signal] - The signal given to the require, a require finishing after it was aborted does not make the fragment ready
+     * @param {boolean} [deferReady=false] - Leave the fragment running when the require succeeds, ie. until its automatic dom is inserted
+     * @returns {Promise<*>} - The result of the require
+     */
+    async trackRequire(method, signal = null, deferReady = false) {
+        let start = performance.now();
+
+        this.activeRequires++;
+        this.setStatus(Fragment.Status.RUNNING);
+
+        try {
+            let result = await method();
+
+            this.recordTiming("require", start);
+
+            this.activeRequires--;
+            if(this.activeRequires === 0 && (signal == null || !signal.aborted) && !deferReady) {
+                this.setStatus(Fragment.Status.READY);
+            }
+
+            return result;
+        } catch(e) {
+            this.recordTiming("require", start);
+
+            this.activeRequires--;
+            this.setStatus(Fragment.Status.ERRORED, e);
+            throw e;
+        }
+    }
+
+    /**
+     * Record how long a phase of loading or running this fragment took, and emit it as a User Timing measure while the page is loading.
+     *
+     * Measures are only emitted during the initial load, as the browser keeps every measure until it is cleared.
+     * @private
+     * @param {string} phase - One of setup, wait, require or autoDom
+     * @param {number} start - When the phase started, from performance.now()
+     * @param {number} [end] - When the phase ended, defaults to now
+     */
+    recordTiming(phase, start, end = performance.now()) {
+        let phases = this.timings.phases;
+
+        phases.push({
+            phase: phase,
+            start: start,
+            duration: end - start
+        });
+
+        if(phases.length > Fragment.maxTimings) {
+            phases.shift();
+        }
+
+        if(Fragment.initialLoadComplete) {
+            return;
+        }
+
+        //Folder is not loaded yet while the first fragments are set up
+        let label = typeof Folder !== "undefined" && this.element.isConnected ? this.path : "@" + this.fragmentUUID;
+
+        try {
+            performance.measure("Codestrates " + phase + " " + label, {
+                start: start,
+                end: end,
+                detail: {
+                    fragment: this.uuid,
+                    phase: phase
+                }
+            });
+        } catch(e) {
+            //Browsers without measure options can still use loadReport
+        }
+    }
+
+    /**
+     * Record the outcome of a cache lookup made for this fragment, ie. by AutoDOMCache
+     * @param {boolean} hit - True if the lookup was a hit
+     */
+    recordCacheLookup(hit) {
+        if(hit) {
+            this.timings.cacheHits++;
+        } else {
+            this.timings.cacheMisses++;
+        }
+    }
+
+    /**
+     * Change the status of this fragment, and trigger Codestrates.Fragment.StateChanged if it changed.
+     *
+     * A disposed fragment keeps its status.
+     * @protected
+     * @param {string} status - The new status, one of Fragment.Status
+     * @param {*} [error] - The error that made the fragment fail, when status is errored
+     */
+    setStatus(status, error = null) {
+        let previousStatus = this.status;
+
+        if(previousStatus === Fragment.Status.DISPOSED) {
+            return;
+        }
+
+        if(status === Fragment.Status.ERRORED) {
+            if(previousStatus === status && this.lastError === error) {
+                return;
+            }
+            this.lastError = error;
+        } else if(previousStatus === status) {
+            return;
+        }
+
+        this.status = status;
+        Fragment.reindex(this);
+
+        EventSystem.triggerEvent("Codestrates.Fragment.StateChanged", {
+            fragment: this,
+            status: status,
+            previousStatus: previousStatus,
+            error: status === Fragment.Status.ERRORED ? error : null
         });
+    }
+
+    /**
+     * The folder containing this fragment, or null if the fragment is not in the DOM
+     * @type {Fragments.Folder}
+     */
+    get folder() {
+        return Folder.of(this.element);
+    }
+
+    /**
+     * The path of this fragment, built from the names of its folders and its own name, id or uuid.
+     * Unlike dompaths, this path stays the same when other nodes are added or moved around it.
+     * @example
+     * Fragment.one("#myFragment").path; // "/ui/widgets/button"
+     * @type {string}
+     */
+    get path() {
+        let folder = this.folder;
+        if(folder == null) {
+            return null;
+        }
+
+        return (folder.isRoot ? "" : folder.path) + "/" + Folder.nameOf(this.element);
+    }
+
+    /**
+     * Resolve a fragment from a path. Paths starting with / are absolute,
+     * other paths are resolved relative to the folder containing the given fragment, or from the root if none is given.
+     * @example
+     * let button = Fragment.resolve("ui/widgets/button");
+     * let sibling = Fragment.resolve("./helpers", Fragment.one("#myFragment"));
+     * let other = Fragment.resolve("../models/#user", Fragment.one("#myFragment"));
+     * @param {string} path - The path to resolve, segments can be names, names with extension, #id or @uuid
+     * @param {Fragments.Fragment|Fragments.Folder} [relativeTo] - The fragment or folder to resolve relative paths from
+     * @returns {Fragments.Fragment} - The fragment, or null if no fragment was found
+     */
+    static resolve(path, relativeTo = null) {
+        let base = Folder.root();
+
+        if(relativeTo != null && !path.startsWith("/")) {
+            base = relativeTo instanceof Folder ? relativeTo : Folder.of(relativeTo);
+            if(base == null) {
+                return null;
+            }
+        }
+
+        let result = base.resolve(path);
+
+        return result instanceof Fragment ? result : null;
+    }
+
+    /**
+     * Check if a string is a fragment path instead of a selector.
+     *
+     * Strings starting with /, ./ or ../ are paths. Other strings are paths if they contain a /, and none of the characters
+     * a css selector uses to combine or filter, so "ui/widgets/button" is a path while "div > .button" is a selector.
+     * @param {string} query
+     * @returns {boolean}
+     */
+    static isPath(query) {
+        if(query.startsWith("/") || query.startsWith("./") || query.startsWith("../")) {
+            return true;
+        }
+
+        return query.includes("/") && !/[\s>+~,:[\]()*="'|]/.test(query);
+    }
+
+    /**
+     * Move this fragment into the given folder. The fragment keeps running, and is not reloaded.
+     * @example
+     * Fragment.one("#myFragment").moveTo(Folder.resolve("/ui/widgets"));
+     * @param {Fragments.Folder|Element} folder - The folder to move into
+     */
+    moveTo(folder) {
+        folder = Folder.from(folder);
+        if(folder == null) {
+            throw new Error("Can only move fragments into a folder");
+        }
+
+        //The automatic dom is rendered right after the fragment, and moves along with it
+        let transient = cQuery("transient.autoDom#" + this.uuid);
+
+        folder.element.appendChild(this.element);
+
+        if(transient.length > 0) {
+            this.element.parentNode.insertBefore(transient[0], this.element.nextSibling);
+        }
+    }
+
+    /**
+     * The annotations anchored to ranges of this fragment
+     * @example
+     * let annotation = Fragment.one("#myFragment").annotations.add(120, 180, "This loop is O(n²)");
+     * @type {Fragments.FragmentAnnotations}
+     */
+    get annotations() {
+        if(this.annotationsModel == null) {
+            this.annotationsModel = new FragmentAnnotations(this);
+        }
+
+        return this.annotationsModel;
+    }
+
+    /**
+     * Get the locally recorded history of this fragment, oldest first
+     * @example
+     * let history = await Fragment.one("#myFragment").history();
+     * let anHourAgo = history.filter((snapshot)=>snapshot.timestamp < Date.now() - 60 * 60 * 1000).pop();
+     * @returns {Promise<Fragments.FragmentHistory~Snapshot[]>}
+     */
+    history() {
+        return FragmentHistory.getSnapshots(this);
+    }
+
+    /**
+     * Restore this fragment to the content of a revision from its history
+     * @example
+     * await Fragment.one("#myFragment").restore(3);
+     * @param {number} revision - The history revision to restore
+     * @returns {Promise<Fragments.Fragment~changeRecord>} - The change record of the restore
+     */
+    restore(revision) {
+        return FragmentHistory.restore(this, revision);
+    }
+
+    /**
+     * Compute the difference between two revisions from the history of this fragment
+     * @example
+     * let changesSinceFirstRevision = await Fragment.one("#myFragment").diffRevisions(1);
+     * @param {number} fromRevision - The older history revision
+     * @param {number} [toRevision] - The newer history revision, or the current content if not given
+     * @returns {Promise<Fragments.Fragment~diffResult>} - The changes, see Fragment.diff
+     */
+    diffRevisions(fromRevision, toRevision = null) {
+        return FragmentHistory.diff(this, fromRevision, toRevision);
+    }
+
+    /**
+     * Tell this fragment to unload itself
+     * @example
+     * Fragment.one("#myFragment").unload();
+     */
+    unload() {
+        let self = this;
+        
+        this.fragmentUnloadedCallbacks.slice().forEach((callback)=>{
+            callback(self);
+        });
+
+        this.dispose();
 
         if(this.supportsAutoDom()) {
             this.clearAutoDom();
         }
 
         this.stopObserver();
+
+        Fragment.removeFromIndex(this);
+
+        this.setStatus(Fragment.Status.DISPOSED);
     }
 
     /**
      * Called when all fragments are loaded
      * @private
+     * @param {object} [options] - Options to pass on to require when autorunning, ie. the signal aborting a timed out autorun
      */
-    async onFragmentsLoaded() {
+    async onFragmentsLoaded(options = {}) {
         if (this.auto && !Fragment.disableAutorun) {
             await this.insertAutoDom();
         }
     }
 
     /**
-     * @private
-     * @returns {boolean} - True/False depending on if this fragments supports automatic behaviour
+     * Start the autorun require of this fragment without waiting for it to finish, for fragment types whose programs may keep running,
+     * so they do not hold back the fragments loading after them. The status of the fragment still follows the require.
+     * @protected
+     * @param {object} [options] - Options to pass on to require
+     */
+    startAutorun(options = {}) {
+        this.require(options).catch((e)=>{
+            //The status of the fragment is already ERRORED, just make sure the error is not lost
+            console.error("Error during autorun of fragment:", e);
+        });
+    }
+
+    /**
+     * @private
+     * @returns {boolean} - True/False depending on if this fragments supports automatic behaviour
+     */
+    supportsAuto() {
+        return this.supportsAutoDom();
+    }
+
+    /**
+     * @private
+     * @returns {boolean} True/False depending on if this fragment supports automatic dom insertion
+     */
+    supportsAutoDom() {
+        //Override in subclass
+        return false;
+    }
+
+
+    /**
+     * Setup handling of automatic dom insertion
+     * @private
+     * @returns {Promise<void>}
+     */
+    setupAutoDomHandling() {
+        if(!this.supportsAutoDom()) {
+            return;
+        }
+
+        let self = this;
+
+        this.registerOnFragmentChangedHandler((context) => {
+            self.autoDomDirty = true;
+            if (self.auto && !Fragment.disableAutorun && !self.skipped) {
+                let approval = typeof FragmentTrust !== "undefined" ? FragmentTrust.checkApproval(self, ()=>self.insertAutoDom()) : Promise.resolve(true);
+
+                approval.then((approved)=>{
+                    if(approved) {
+                        return self.insertAutoDom();
+                    }
+                }).catch((e)=>{
+                    EventSystem.triggerEvent("Codestrates.Fragment.Error", {
+                        messages: ["Automatic dom failed: ", e],
+                        fragment: self
+                    });
+                    self.setStatus(Fragment.Status.ERRORED, e);
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup re-running of hot fragments when their content changes
+     * @private
+     */
+    setupHotReloadHandling() {
+        if(!this.supportsRun()) {
+            return;
+        }
+
+        let self = this;
+        let lastRaw = this.raw;
+
+        this.registerOnFragmentChangedHandler(() => {
+            if(!self.hot || !self.auto || Fragment.disableAutorun || self.skipped || !self.isLoaded) {
+                return;
+            }
+
+            let raw = self.raw;
+            if(raw === lastRaw) {
+                return;
+            }
+            lastRaw = raw;
+
+            clearTimeout(self.hotReloadTimeout);
+            self.hotReloadTimeout = setTimeout(()=>{
+                self.hotReload().catch((e)=>{
+                    //The require already reported the error and marked the fragment as failed, the next edit tries again
+                    console.warn("Hot reload failed:", e);
+                });
+            }, Fragment.hotReloadDelay);
+        });
+    }
+
+    /**
+     * Dispose the previous run of this fragment and require it again, unless the new content has a syntax error.
+     *
+     * Fragment types that can not check their syntax are not hot reloaded, as a syntax error would stop the running version.
+     * @example
+     * await Fragment.one("#myFragment").hotReload();
+     * @returns {Promise<void>}
+     */
+    async hotReload() {
+        if(!this.supportsSyntaxCheck()) {
+            EventSystem.triggerEvent("Codestrates.Fragment.Warn", {
+                messages: ["Hot reload skipped, " + this.type + " fragments can not be checked for syntax errors before running"],
+                fragment: this
+            });
+            return;
+        }
+
+        let syntaxError = this.checkSyntax();
+
+        if(syntaxError != null) {
+            EventSystem.triggerEvent("Codestrates.Fragment.Error", {
+                messages: ["Hot reload skipped, keeping the last good version running: ", syntaxError],
+                fragment: this
+            });
+            return;
+        }
+
+        if(typeof FragmentTrust !== "undefined" && !await FragmentTrust.checkApproval(this, ()=>this.hotReload())) {
+            return;
+        }
+
+        this.dispose();
+
+        let result = await this.require({
+            hotReload: true
+        });
+
+        this.fragmentHotReloadCallbacks.slice().forEach((callback)=>{
+            try {
+                callback(this, result);
+            } catch(e) {
+                console.error("Error in hot reload callback:", e);
+            }
+        });
+
+        EventSystem.triggerEvent("Codestrates.Fragment.HotReloaded", {
+            fragment: this,
+            result: result
+        });
+    }
+
+    /**
+     * A problem found when validating a fragment
+     * @typedef {Object} Fragments.Fragment~diagnostic
+     * @property {string} severity - "error", "warning" or "info". Only errors stop autorun, so types report problems that might still run fine as warnings
+     * @property {string} message - Description of the problem
+     * @property {number} line - The line of the problem, 1-based, null if unknown
+     * @property {number} column - The column of the problem, 1-based, null if unknown
+     */
+
+    /**
+     * Validate the content of this fragment without running it.
+     *
+     * Fragment types override this to check their content, the default implementation reports syntax errors found by checkSyntax.
+     * @example
+     * let errors = Fragment.one("#myFragment").validate().filter((diagnostic)=>diagnostic.severity === "error");
+     * @returns {Fragments.Fragment~diagnostic[]} - The problems found, empty if the content is valid
+     */
+    validate() {
+        let syntaxError = this.checkSyntax();
+
+        if(syntaxError != null) {
+            return [Fragment.diagnosticFromError(syntaxError, this.raw)];
+        }
+
+        return [];
+    }
+
+    /**
+     * The diagnostics from the last validation of this fragment, validating it if that has not happened yet
+     * @type {Fragments.Fragment~diagnostic[]}
+     */
+    get diagnostics() {
+        if(this.lastDiagnostics == null) {
+            return this.runValidation();
+        }
+
+        return this.lastDiagnostics;
+    }
+
+    /**
+     * Validate this fragment and publish the diagnostics through EventSystem
+     * @returns {Fragments.Fragment~diagnostic[]}
+     */
+    runValidation() {
+        let diagnostics;
+
+        try {
+            diagnostics = this.validate();
+        } catch(e) {
+            console.warn("Error validating fragment:", e);
+            diagnostics = [];
+        }
+
+        this.lastDiagnostics = diagnostics;
+
+        EventSystem.triggerEvent("Codestrates.Fragment.Diagnostics", {
+            fragment: this,
+            diagnostics: diagnostics
+        });
+
+        return diagnostics;
+    }
+
+    /**
+     * Throw if this fragment has validation errors, which stops it from autorunning.
+     *
+     * Only errors block, fragment types report problems that might still run fine, like unbalanced html, as warnings.
+     * @private
+     */
+    assertValid() {
+        let errors = this.runValidation().filter((diagnostic)=>diagnostic.severity === "error");
+
+        if(errors.length > 0) {
+            let error = new Error("Refusing to run fragment with validation errors: "+errors.map((diagnostic)=>{
+                return (diagnostic.line != null ? diagnostic.line+":"+diagnostic.column+" " : "")+diagnostic.message;
+            }).join(", "));
+
+            EventSystem.triggerEvent("Codestrates.Fragment.Error", {
+                messages: [error.message],
+                fragment: this
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Validate this fragment again when it is changed
+     * @private
+     */
+    setupValidationHandling() {
+        let self = this;
+
+        this.registerOnFragmentChangedHandler(() => {
+            if(!self.isLoaded && self.lastDiagnostics == null) {
+                return;
+            }
+
+            clearTimeout(self.validationTimeout);
+            self.validationTimeout = setTimeout(()=>{
+                self.runValidation();
+            }, Fragment.validationDelay);
+        });
+    }
+
+    /**
+     * Create a diagnostic from a parse error, finding the line and column from the error if possible
+     * @protected
+     * @param {Error} error - The parse error
+     * @param {string} text - The text that was parsed
+     * @param {string} [severity="error"]
+     * @returns {Fragments.Fragment~diagnostic}
+     */
+    static diagnosticFromError(error, text, severity = "error") {
+        let diagnostic = {
+            severity: severity,
+            message: error.message,
+            line: null,
+            column: null
+        };
+
+        let lineColumn = /line (\d+) column (\d+)/.exec(error.message);
+        let position = /position (\d+)/.exec(error.message);
+
+        if(error.loc != null) {
+            //Babel style, 0-based column
+            diagnostic.line = error.loc.line;
+            diagnostic.column = error.loc.column + 1;
+        } else if(lineColumn != null) {
+            diagnostic.line = parseInt(lineColumn[1]);
+            diagnostic.column = parseInt(lineColumn[2]);
+        } else if(position != null) {
+            Object.assign(diagnostic, Fragment.positionAt(text, parseInt(position[1])));
+        } else if(error.lineNumber != null) {
+            diagnostic.line = error.lineNumber;
+            diagnostic.column = error.columnNumber != null ? error.columnNumber : 1;
+        }
+
+        return diagnostic;
+    }
+
+    /**
+     * Convert an offset in a text into a line and column
+     * @protected
+     * @param {string} text
+     * @param {number} offset
+     * @returns {{line: number, column: number}} - 1-based line and column
      */
-    supportsAuto() {
-        return this.supportsAutoDom();
+    static positionAt(text, offset) {
+        let before = text.substring(0, offset);
+        let lineStart = before.lastIndexOf("\n") + 1;
+
+        return {
+            line: before.split("\n").length,
+            column: offset - lineStart + 1
+        };
     }
 
     /**
-     * @private
-     * @returns {boolean} True/False depending on if this fragment supports automatic dom insertion
+     * Check the content of this fragment for syntax errors, without running it
+     * @protected
+     * @returns {Error} - The syntax error, or null if none was found or the fragment type can not check its syntax
      */
-    supportsAutoDom() {
+    checkSyntax() {
         //Override in subclass
-        return false;
+        return null;
     }
 
-
     /**
-     * Setup handling of automatic dom insertion
-     * @private
-     * @returns {Promise<void>}
+     * @protected
+     * @returns {boolean} - True if checkSyntax finds the syntax errors of this fragment, needed for hot reload
      */
-    setupAutoDomHandling() {
-        if(!this.supportsAutoDom()) {
-            return;
-        }
-
-        let self = this;
-
-        this.registerOnFragmentChangedHandler((context) => {
-            self.autoDomDirty = true;
-            if (self.auto && !Fragment.disableAutorun) {
-                self.insertAutoDom();
-            }
-        });
+    supportsSyntaxCheck() {
+        return false;
     }
 
     /**
@@ -681,7 +2298,10 @@ class Fragment {
         }
 
         try {
-            return await this.require();
+            //The fragment is ready once the automatic dom is inserted, not when it is created
+            return await this.require({
+                autoDom: true
+            });
         } catch(e) {
             return null;
         }
@@ -716,6 +2336,8 @@ class Fragment {
         this.autoDomDirty = false;
         this.autoDomReady = false;
 
+        let start = performance.now();
+
         return new Promise(async (resolve, reject)=>{
             try {
                 let autoDomContent = await this.createAutoDom();
@@ -770,10 +2392,16 @@ class Fragment {
                 }
 
                 self.autoDomReady = true;
+                self.recordTiming("autoDom", start);
+
+                if(self.activeRequires === 0 && self.status === Fragment.Status.RUNNING) {
+                    self.setStatus(Fragment.Status.READY);
+                }
 
                 resolve();
             } catch(e) {
                 console.warn("Unable to insertAutoDom: ", e);
+                self.recordTiming("autoDom", start);
                 self.autoDomDirty = true;
                 reject();
             }
@@ -804,6 +2432,7 @@ class Fragment {
 
     /**
      * Returns a dompath for finding this fragment
+     * @deprecated Dompaths break when nodes are inserted above the fragment, use Fragment.path instead
      */
     getDomPath() {
         let child = this.element;
@@ -830,6 +2459,10 @@ class Fragment {
         return domPath;
     }
 
+    /**
+     * Find the node at the given dompath
+     * @deprecated Dompaths break when nodes are inserted above the fragment, use Fragment.resolve instead
+     */
     static findFromDomPath(domPath) {
         let currentParent = document.querySelector(domPath[0].parent);
 
@@ -843,28 +2476,210 @@ class Fragment {
         return currentParent;
     }
 
+    /**
+     * @typedef {Object} Fragments.Fragment~CreateOptions
+     * @property {string} [content] - The content of the fragment
+     * @property {string} [name] - The name attribute of the fragment
+     * @property {string} [id] - The id attribute of the fragment
+     * @property {string|string[]} [classes] - Classes to add to the fragment
+     * @property {boolean} [auto] - Should the fragment be auto
+     * @property {Object} [attributes] - Extra attributes to set, as name/value pairs
+     * @property {Node|Fragments.Folder} [parent] - The folder or element to append the fragment to
+     * @property {Node|Fragments.Fragment} [before] - Insert the fragment before this node
+     * @property {Node|Fragments.Fragment} [after] - Insert the fragment after this node
+     */
+
     /**
      * Create a fragment of the given type.
      * 
-     * If no Fragment is registered for the given type, null is returned.
+     * The fragment is returned directly, detached unless options places it. If no Fragment is registered for the given type, null is returned.
+     *
+     * Use Fragment.createAsync to also wait until the fragment is loaded.
      *
      * @example
      * let myJSFragment = Fragment.create("text/javascript");
      *
+     * @example
+     * let myCSSFragment = Fragment.create("text/css", {
+     *     name: "theme",
+     *     content: "body { color: red; }",
+     *     parent: document.querySelector("code-folder")
+     * });
+     *
      * @param {string} type the type of fragment to create
+     * @param {Fragments.Fragment~CreateOptions} [options] - The content, attributes and placement of the fragment
      * @returns {Fragments.Fragment} the created fragment, or null
      */
-    static create(type) {
+    static create(type, options = null) {
         if (!Fragment.fragmentTypes.has(type)) {
             console.error("Creating fragment of unregistered type:", type);
             return null;
         }
 
         let fragmentDom = cQuery("<code-fragment data-type='" + type + "'></code-fragment>");
+        fragmentDom[0].setAttribute("data-uuid", Fragment.generateFragmentUUID());
+
+        if(options == null) {
+            Fragment.setupFragment(fragmentDom);
+
+            return fragmentDom[0].fragment;
+        }
+
+        let element = fragmentDom[0];
+
+        if(options.name != null) {
+            element.setAttribute("name", options.name);
+        }
+        if(options.id != null) {
+            element.setAttribute("id", options.id);
+        }
+        if(options.classes != null) {
+            let classes = Array.isArray(options.classes) ? options.classes : options.classes.split(" ");
+            classes.filter((c)=>c.trim() !== "").forEach((c)=>{
+                element.classList.add(c.trim());
+            });
+        }
+        if(options.auto) {
+            element.setAttribute("auto", "");
+        }
 
         Fragment.setupFragment(fragmentDom);
 
-        return fragmentDom[0].fragment;
+        let fragment = element.fragment;
+
+        if(options.content != null) {
+            //Nothing is listening yet, so dont trigger any changes
+            fragment.stopObserver();
+            fragment.raw = options.content;
+            fragment.startObserver();
+        }
+
+        //Set after the content, so attributes like locked do not stop the content from being set
+        if(options.attributes != null) {
+            Object.entries(options.attributes).forEach(([name, value])=>{
+                element.setAttribute(name, value);
+            });
+        }
+
+        let toNode = (target)=>{
+            return target instanceof Node ? target : target.element;
+        };
+
+        if(options.before != null) {
+            let before = toNode(options.before);
+            before.parentNode.insertBefore(element, before);
+        } else if(options.after != null) {
+            let after = toNode(options.after);
+            after.parentNode.insertBefore(element, after.nextSibling);
+        } else if(options.parent != null) {
+            toNode(options.parent).appendChild(element);
+        } else {
+            return fragment;
+        }
+
+        WPMv2.stripProtection(element);
+
+        return fragment;
+    }
+
+    /**
+     * Create a fragment of the given type, like Fragment.create, and wait until it is loaded and, if auto, executed.
+     *
+     * The fragment is loaded right away instead of waiting for the loader, so it can be used from the autorun of another fragment.
+     * Fragments given no placement resolve right away, as they can not be loaded. Fragments with automatic dom resolve once it is inserted.
+     *
+     * Fragment.create stays synchronous, as existing code uses the fragment it returns right away, so this is its awaitable form.
+     *
+     * @example
+     * let myCSSFragment = await Fragment.createAsync("text/css", {
+     *     name: "theme",
+     *     content: "body { color: red; }",
+     *     auto: true,
+     *     parent: document.querySelector("code-folder")
+     * });
+     *
+     * @param {string} type the type of fragment to create
+     * @param {Fragments.Fragment~CreateOptions} [options] - The content, attributes and placement of the fragment
+     * @returns {Promise<Fragments.Fragment>} - Resolves to the fragment, rejects if the type is not registered or the fragment fails to load, see Fragment.whenLoaded
+     */
+    static createAsync(type, options = {}) {
+        let fragment = Fragment.create(type, options);
+
+        if(fragment == null) {
+            return Promise.reject(new Error("Creating fragment of unregistered type: " + type));
+        }
+
+        if(!fragment.element.isConnected) {
+            return Promise.resolve(fragment);
+        }
+
+        //The loader might be busy running the autorun that created this fragment, so load it outside the queue
+        if(Fragment.allInstalledRun && !fragment.isLoaded) {
+            fragment.isLoaded = true;
+            fragment.setStatus(Fragment.Status.LOADING);
+            Fragment.loadFragment(fragment);
+        }
+
+        return fragment.whenLoaded();
+    }
+
+    /**
+     * Wait until this fragment has been loaded by the fragment loader and, if auto, executed, with its automatic dom inserted.
+     *
+     * Rejects if the fragment failed to load, was unloaded, is waiting for approval in trust mode, or was skipped by safe mode.
+     *
+     * @example
+     * await Fragment.one("#myFragment").whenLoaded();
+     *
+     * @returns {Promise<Fragments.Fragment>} - Resolves to this fragment, rejects with the error if it failed to load
+     */
+    whenLoaded() {
+        let self = this;
+
+        let skippedError = ()=>{
+            return new Error("Fragment " + self.path + " was skipped by safe mode");
+        };
+        let approvalError = ()=>{
+            return new Error("Fragment " + self.path + " is waiting for approval");
+        };
+
+        if(this.isLoaded && this.status === Fragment.Status.READY) {
+            return Promise.resolve(this);
+        }
+        if(this.status === Fragment.Status.SKIPPED) {
+            return Promise.reject(skippedError());
+        }
+        if(this.isLoaded && this.status === Fragment.Status.ERRORED) {
+            return Promise.reject(this.lastError);
+        }
+        if(this.status === Fragment.Status.AWAITING_APPROVAL) {
+            return Promise.reject(approvalError());
+        }
+
+        return new Promise((resolve, reject)=>{
+            let handle = EventSystem.registerEventCallback("Codestrates.Fragment.StateChanged", ({detail: detail})=>{
+                if(detail.fragment !== self) {
+                    return;
+                }
+
+                if(detail.status === Fragment.Status.READY && self.isLoaded) {
+                    handle.delete();
+                    resolve(self);
+                } else if(detail.status === Fragment.Status.SKIPPED) {
+                    handle.delete();
+                    reject(skippedError());
+                } else if(detail.status === Fragment.Status.AWAITING_APPROVAL) {
+                    handle.delete();
+                    reject(approvalError());
+                } else if(detail.status === Fragment.Status.ERRORED && self.isLoaded) {
+                    handle.delete();
+                    reject(detail.error);
+                } else if(detail.status === Fragment.Status.DISPOSED) {
+                    handle.delete();
+                    reject(new Error("Fragment was unloaded before it finished loading"));
+                }
+            });
+        });
     }
 
     /**
@@ -882,6 +2697,127 @@ class Fragment {
         return Fragment.loadUnknownFragments(fragmentClass.type());
     }
 
+    /**
+     * The context given to require middleware
+     * @typedef {Object} Fragments.Fragment~requireContext
+     * @property {Fragments.Fragment} fragment - The fragment being required
+     * @property {Object} options - The options given to require, middleware can change them before calling next
+     * @property {*} result - The result of the require, set once next has resolved
+     */
+
+    /**
+     * @callback Fragments.Fragment~requireMiddleware
+     * @param {Fragments.Fragment~requireContext} context - The require context
+     * @param {Function} next - Continue with the next middleware, and finally the require of the fragment type. Resolves to the result.
+     * @returns {*} - The result of the require. Not calling next and returning a value short-circuits the require.
+     */
+
+    /**
+     * Register middleware that wraps every require() call of every fragment, or the fragments of the given types.
+     *
+     * Middleware with higher priority runs first, and wraps the middleware with lower priority.
+     * Middleware with the same priority runs in the order it was registered.
+     *
+     * @example
+     * //Log how long every javascript require takes
+     * Fragment.registerRequireMiddleware(async (context, next)=>{
+     *     let start = performance.now();
+     *     let result = await next();
+     *     console.log(context.fragment.path, "took", performance.now() - start, "ms");
+     *     return result;
+     * }, {types: ["text/javascript", "text/javascript+babel"]});
+     *
+     * @example
+     * //Serve json from a cache
+     * let cache = new Map();
+     * Fragment.registerRequireMiddleware(async (context, next)=>{
+     *     if(cache.has(context.fragment.raw)) {
+     *         return cache.get(context.fragment.raw);
+     *     }
+     *     let result = await next();
+     *     cache.set(context.fragment.raw, result);
+     *     return result;
+     * }, {types: "application/json"});
+     *
+     * @param {Fragments.Fragment~requireMiddleware} middleware - The middleware
+     * @param {object} [options]
+     * @param {string|RegExp|Array<string|RegExp>} [options.types] - Only wrap fragments of these types, * matches anything. All types if not given.
+     * @param {number} [options.priority=0] - Middleware with higher priority runs first
+     * @returns {{delete: Function}} - Call delete to remove the middleware again
+     */
+    static registerRequireMiddleware(middleware, options = {}) {
+        let entry = {
+            middleware: middleware,
+            types: options.types != null ? options.types : null,
+            priority: options.priority != null ? options.priority : 0
+        };
+
+        Fragment.requireMiddlewares.push(entry);
+
+        //Stable sort, keeps registration order for equal priority
+        Fragment.requireMiddlewares.sort((a, b)=>{
+            return b.priority - a.priority;
+        });
+
+        return {
+            delete: ()=>{
+                let index = Fragment.requireMiddlewares.indexOf(entry);
+                if(index !== -1) {
+                    Fragment.requireMiddlewares.splice(index, 1);
+                }
+            }
+        };
+    }
+
+    /**
+     * Run the require middleware that applies to the given fragment, ending with the given require method
+     * @private
+     * @param {Fragments.Fragment} fragment - The fragment being required
+     * @param {Object} options - The options given to require
+     * @param {Function} method - The require of the fragment type, called with the options
+     * @returns {Promise<*>} - The result of the require
+     */
+    static async runRequireMiddleware(fragment, options, method) {
+        let middlewares = Fragment.requireMiddlewares.filter((entry)=>{
+            return entry.types == null || Fragment.matchesAnyPattern(entry.types, fragment.type);
+        });
+
+        if(middlewares.length === 0) {
+            return method(options);
+        }
+
+        let context = {
+            fragment: fragment,
+            options: options,
+            result: undefined
+        };
+
+        let dispatch = async (index)=>{
+            if(index === middlewares.length) {
+                context.result = await method(context.options);
+                return context.result;
+            }
+
+            let nextCalled = false;
+            let result = await middlewares[index].middleware(context, ()=>{
+                if(nextCalled) {
+                    throw new Error("next() called multiple times in require middleware");
+                }
+                nextCalled = true;
+
+                return dispatch(index + 1);
+            });
+
+            if(result !== undefined) {
+                context.result = result;
+            }
+
+            return context.result;
+        };
+
+        return dispatch(0);
+    }
+
     /**
      * Unregisters a fragment type, this also triggers unload on all fragments of this type that is currently loaded
      * @ignore
@@ -903,7 +2839,13 @@ class Fragment {
      * @param {cQuery} fragment - the fragment to set up
      */
     static setupFragment(fragment) {
-        if (fragment[0].fragment != null) return; //Already setup as fragment            
+        if (fragment[0].fragment != null) {
+            //Already setup as fragment, ie. created detached and now inserted
+            if(fragment[0].isConnected) {
+                Fragment.addToIndex(fragment[0].fragment);
+            }
+            return;
+        }
 
         let fragmentType = fragment[0].getAttribute("data-type");
         if (!Fragment.fragmentTypes.has(fragmentType)) {
@@ -917,7 +2859,12 @@ class Fragment {
         }
 
         let fragmentClass = Fragment.fragmentTypes.get(fragmentType);
-        return new fragmentClass(fragment);
+
+        let start = performance.now();
+        let instance = new fragmentClass(fragment);
+        instance.recordTiming("setup", start);
+
+        return instance;
     }
 
     /**
@@ -965,6 +2912,10 @@ class Fragment {
                     }
                 });
                 Array.from(mutation.removedNodes).forEach((node) => {
+                    if(node.isConnected) {
+                        //Moved, not removed
+                        return;
+                    }
                     if(node.matches != null && node.matches("code-fragment")) {
                         node.fragment?.unload();
                     } else if(node.querySelector != null) {
@@ -986,24 +2937,41 @@ class Fragment {
     }
 
     /**
-     * Loads all currently unloaded fragments
+     * Loads all currently unloaded fragments.
+     *
+     * Calls are queued, so each call loads the fragments that are unloaded once the previous calls are done.
      * @ignore
      * @returns {Promise<void>} - Promise that resolves when all unloaded fragments are done loading
      */
-    static async runFragmentsLoaded() {
+    static runFragmentsLoaded() {
         if(!Fragment.allInstalledRun) {
-            return;
+            return Promise.resolve();
         }
 
-        //Check if currently loading
-        while (Fragment.currentlyLoadingFragments) {
-            await new Promise((resolve) => {
-                setTimeout(() => {
-                    resolve();
-                }, 0);
-            });
-        }
+        let waitStart = performance.now();
 
+        let run = Fragment.loadQueue.then(()=>{
+            return Fragment.loadUnloadedFragments(waitStart);
+        });
+
+        //Keep the queue going even if a batch fails
+        Fragment.loadQueue = run.catch((e)=>{
+            console.error("Error while loading fragments:", e);
+        });
+
+        return run;
+    }
+
+    /**
+     * Load all currently unloaded fragments as one batch.
+     *
+     * Independent fragments start as soon as the fragments they require are loaded, while other fragments wait for every fragment
+     * before them, keeping the document order. At most Fragment.autorunConcurrency fragments load at the same time.
+     * @private
+     * @param {number} waitStart - When the batch was queued, from performance.now()
+     * @returns {Promise<void>}
+     */
+    static async loadUnloadedFragments(waitStart) {
         Fragment.currentlyLoadingFragments = true;
 
         let unloadedFragments = Fragment.find("code-fragment").filter((fragment)=>{
@@ -1012,12 +2980,207 @@ class Fragment {
             return !isLoaded;
         });
 
-        for(let fragment of unloadedFragments) {
-            fragment.isLoaded = true;
-            await fragment.onFragmentsLoaded();
+        let waitEnd = performance.now();
+
+        unloadedFragments.forEach((fragment)=>{
+            fragment.recordTiming("wait", waitStart, waitEnd);
+            fragment.setStatus(Fragment.Status.LOADING);
+        });
+
+        let running = 0;
+        let waiting = [];
+
+        let acquireSlot = ()=>{
+            if(running < Math.max(1, Fragment.autorunConcurrency)) {
+                running++;
+                return Promise.resolve();
+            }
+
+            return new Promise((resolve)=>{
+                waiting.push(resolve);
+            });
+        };
+
+        let releaseSlot = ()=>{
+            if(waiting.length > 0) {
+                //Hand the slot directly to the next in line
+                waiting.shift()();
+            } else {
+                running--;
+            }
+        };
+
+        let loaded = new Map();
+        let all = [];
+
+        Fragment.sortByDependencies(unloadedFragments).forEach((fragment)=>{
+            let before = null;
+
+            if(fragment.isIndependent()) {
+                //Requirements closing a cycle are not loaded yet, and are skipped like sortByDependencies does
+                before = fragment.getRequiredFragments().map((required)=>loaded.get(required)).filter((promise)=>promise != null);
+            } else {
+                before = all.slice();
+            }
+
+            let promise = Promise.all(before).then(async ()=>{
+                await acquireSlot();
+                try {
+                    await Fragment.loadFragment(fragment);
+                } finally {
+                    releaseSlot();
+                }
+            });
+
+            loaded.set(fragment, promise);
+            all.push(promise);
+        });
+
+        try {
+            await Promise.all(all);
+        } finally {
+            Fragment.currentlyLoadingFragments = false;
+        }
+    }
+
+    /**
+     * Run the autorun of a single fragment as part of loading it, marking it as failed if it fails
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @returns {Promise<void>} - Resolves when the fragment is loaded, also if it failed
+     */
+    static async loadFragment(fragment) {
+        let autorun = fragment.auto && !Fragment.disableAutorun;
+
+        try {
+            if(autorun) {
+                let skipReason = SafeMode.skipReason(fragment);
+                if(skipReason != null) {
+                    fragment.skipped = true;
+                    SafeMode.markSkipped(fragment, skipReason);
+                    fragment.setStatus(Fragment.Status.SKIPPED);
+                    return;
+                }
+
+                if(typeof FragmentTrust !== "undefined" && !await FragmentTrust.checkApproval(fragment, ()=>Fragment.loadFragment(fragment))) {
+                    fragment.setStatus(Fragment.Status.AWAITING_APPROVAL);
+                    return;
+                }
+
+                //The default validation only checks the syntax, which require parses or transpiles again anyway, so only validate fragment types with their own validation
+                if(fragment.validate !== Fragment.prototype.validate) {
+                    fragment.assertValid();
+                }
+                SafeMode.autorunStarted(fragment);
+            }
+
+            await Fragment.runWithTimeout(fragment, Fragment.autorunTimeout);
+
+            //Fragments that did not run anything are ready now
+            if(fragment.status === Fragment.Status.LOADING || fragment.status === Fragment.Status.AWAITING_APPROVAL) {
+                fragment.setStatus(Fragment.Status.READY);
+            }
+        } catch(e) {
+            //The error has already been reported by the fragment, just mark it and continue with the next
+            fragment.setStatus(Fragment.Status.ERRORED, e);
+        } finally {
+            if(autorun) {
+                SafeMode.autorunFinished(fragment);
+            }
+        }
+    }
+
+    /**
+     * Run onFragmentsLoaded of the given fragment, giving up after the given timeout.
+     *
+     * On timeout the signal passed to the autorun is aborted and the returned promise rejects, so the loader can continue with the next fragment.
+     * Fragment types that start their autorun without waiting for it, see startAutorun, return right away and are not timed out.
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @param {number} timeout - Milliseconds to wait, 0 or null to wait forever
+     * @returns {Promise<void>}
+     */
+    static async runWithTimeout(fragment, timeout) {
+        if(timeout == null || timeout <= 0) {
+            await fragment.onFragmentsLoaded();
+            return;
+        }
+
+        let abortController = new AbortController();
+        let timeoutId = null;
+
+        let timeoutPromise = new Promise((resolve, reject)=>{
+            timeoutId = setTimeout(()=>{
+                let error = new Error("Autorun of fragment " + fragment.path + " timed out after " + timeout + "ms");
+                error.name = "TimeoutError";
+                abortController.abort(error);
+
+                EventSystem.triggerEvent("Codestrates.Fragment.Error", {
+                    messages: [error.message],
+                    fragment: fragment
+                });
+
+                reject(error);
+            }, timeout);
+        });
+
+        try {
+            await Promise.race([
+                fragment.onFragmentsLoaded({
+                    signal: abortController.signal
+                }),
+                timeoutPromise
+            ]);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Sorts the given fragments so every fragment comes after the fragments it requires.
+     *
+     * Fragments without declared requirements keep their relative order. Requirements outside the given fragments are ignored,
+     * as they are already loaded. Cycles are reported through EventSystem and broken at the point they are detected.
+     * @private
+     * @param {Fragments.Fragment[]} fragments - The fragments to sort, in dom order
+     * @returns {Fragments.Fragment[]} - The sorted fragments
+     */
+    static sortByDependencies(fragments) {
+        let sorted = [];
+        let visited = new Set();
+        let visiting = [];
+
+        function visit(fragment) {
+            if(visited.has(fragment)) {
+                return;
+            }
+
+            let cycleStart = visiting.indexOf(fragment);
+            if(cycleStart !== -1) {
+                let cycle = visiting.slice(cycleStart);
+                console.warn("Dependency cycle between fragments, ignoring the requirement closing the cycle:", cycle);
+                EventSystem.triggerEvent("Codestrates.Fragment.DependencyCycle", {
+                    cycle: cycle
+                });
+                return;
+            }
+
+            visiting.push(fragment);
+
+            fragment.getRequiredFragments().forEach((required)=>{
+                if(fragments.includes(required)) {
+                    visit(required);
+                }
+            });
+
+            visiting.pop();
+            visited.add(fragment);
+            sorted.push(fragment);
         }
 
-        Fragment.currentlyLoadingFragments = false;
+        fragments.forEach(visit);
+
+        return sorted;
     }
 
     /**
@@ -1076,7 +3239,7 @@ class Fragment {
      * @example
      * let myFragment = Fragment.one("#myFragment");
      *
-     * @param {string|cQuery|Array|Node} query - The query used to find fragments. Can be a css selector, a cQuery object, a dom element or an array of dom elements.
+     * @param {string|cQuery|Array|Node} query - The query used to find fragments. Can be a css selector, a fragment path starting with /, ./ or ../, a cQuery object, a dom element or an array of dom elements.
      * @returns {Fragments.Fragment} - the found fragment, or null if none could be found
      */
     static one(query) {
@@ -1094,15 +3257,23 @@ class Fragment {
      *
      * @example
      * let fragments = Fragment.find(".someClass");
+     * let button = Fragment.find("/ui/widgets/button");
+     * let tests = Fragment.find({type: "text/x-typescript", auto: true, folder: "/tests", name: "test*"});
      *
-     * @param {string|cQuery|Array|Node} query - The query used to find fragments. Can be a css selector, a cQuery object, a dom element or an array of dom elements.
+     * @param {string|cQuery|Array|Node|Fragments.Fragment~Query} query - The query used to find fragments. Can be a css selector, a fragment path like /ui/widgets/button, ui/widgets/button or ./button, a query object, a cQuery object, a dom element or an array of dom elements.
      * @returns {Fragments.Fragment[]} The found fragments
      */
     static find(query) {
         let fragments = [];
 
         if (query != null) {
-            if (typeof query === "string") {
+            if (typeof query === "string" && Fragment.isPath(query)) {
+                let fragment = Fragment.resolve(query);
+                if (fragment != null) {
+                    fragments.push(fragment);
+                }
+
+            } else if (typeof query === "string") {
                 cQuery(query).forEach((result) => {
                     let fragment = result.fragment;
                     if (fragment != null) {
@@ -1116,7 +3287,9 @@ class Fragment {
                 });
 
             } else if (typeof query === "object") {
-                if (query instanceof Fragment) {
+                if (Object.getPrototypeOf(query) === Object.prototype) {
+                    fragments = fragments.concat(Fragment.query(query));
+                } else if (query instanceof Fragment) {
                     fragments.push(query);
                 } else if (query instanceof HTMLElement) {
                     let fragment = query.fragment;
@@ -1132,11 +3305,496 @@ class Fragment {
         return fragments;
     }
 
+    /**
+     * Find a fragment from its persistent uuid, or its transient uuid
+     * @param {string} uuid - The uuid to look for
+     * @returns {Fragments.Fragment} - The fragment, or undefined if none was found
+     */
     static fromFragmentUUID(uuid) {
-        let node = document.querySelector("code-fragment[data-uuid='"+uuid.replace("_", "-")+"']");
+        uuid = CSS.escape(uuid.replace("_", "-"));
+        let node = document.querySelector("code-fragment[data-uuid='"+uuid+"'], code-fragment[transient-fragment-uuid='"+uuid+"']");
         return node?.fragment;
     }
 
+    /**
+     * Find a fragment from its persistent uuid
+     *
+     * @example
+     * let fragment = Fragment.byId(someFragment.fragmentUUID);
+     *
+     * @param {string} fragmentUUID - The persistent uuid of the fragment, see Fragment.fragmentUUID
+     * @returns {Fragments.Fragment} - The fragment, or null if none was found
+     */
+    static byId(fragmentUUID) {
+        //The first element in the document with a data-uuid owns it
+        let node = document.querySelector("code-fragment[data-uuid='"+CSS.escape(fragmentUUID)+"']");
+        if(node?.fragment != null) {
+            return node.fragment;
+        }
+
+        //The uuid might only last for this page load
+        if(fragmentUUID.startsWith(Fragment.transientUUIDPrefix)) {
+            let transientNode = document.querySelector("code-fragment[transient-fragment-uuid='"+CSS.escape(fragmentUUID.substring(Fragment.transientUUIDPrefix.length))+"']");
+            if(transientNode?.fragment != null && transientNode.fragment.fragmentUUID === fragmentUUID) {
+                return transientNode.fragment;
+            }
+            return null;
+        }
+
+        //The uuid might be derived from an id
+        if(!fragmentUUID.startsWith(Fragment.derivedUUIDPrefix)) {
+            return null;
+        }
+
+        let nodes = document.querySelectorAll("code-fragment#"+CSS.escape(fragmentUUID.substring(Fragment.derivedUUIDPrefix.length)));
+        if(nodes.length === 1 && nodes[0].fragment != null && !nodes[0].fragment.hasPersistentUUID) {
+            return nodes[0].fragment;
+        }
+
+        return null;
+    }
+
+    /**
+     * Derive a fragment uuid from the id of the element, for fragments without a persistent uuid of their own
+     * @private
+     * @param {HTMLElement} element
+     * @returns {string} - The derived uuid, or null if the element has no id that is unique in the document
+     */
+    static deriveFragmentUUID(element) {
+        let id = element.getAttribute("id");
+        if(id != null && id.trim().length > 0 && element.isConnected && document.querySelectorAll("#"+CSS.escape(id)).length === 1) {
+            return Fragment.derivedUUIDPrefix + id;
+        }
+
+        return null;
+    }
+
+    /**
+     * Generate a new persistent fragment uuid, that is not used by any element in the document
+     * @private
+     * @returns {string}
+     */
+    static generateFragmentUUID() {
+        let fragmentUUID = null;
+
+        do {
+            fragmentUUID = UUIDGenerator.generateUUID("fragment-");
+        } while(document.querySelector("[data-uuid='"+CSS.escape(fragmentUUID)+"']") != null);
+
+        return fragmentUUID;
+    }
+
+    /**
+     * A query object for Fragment.find. All given properties must match.
+     *
+     * Patterns are either a RegExp, or a string where * matches anything. The type, name, id, auto state, classes and status are looked up
+     * in an index, while the folder and content are checked on the fragments matching those, or every fragment in the document if none are given.
+     * @typedef {Object} Fragments.Fragment~Query
+     * @property {string|RegExp|Array<string|RegExp>} [type] - The type of the fragment, ie. "text/*"
+     * @property {string|RegExp} [name] - The name attribute of the fragment
+     * @property {string|RegExp} [id] - The id of the fragment
+     * @property {boolean} [auto] - The auto state of the fragment
+     * @property {string|string[]} [class] - Classes the fragment must have
+     * @property {string|Fragments.Folder|Element} [folder] - A folder, or path to a folder, the fragment must be inside
+     * @property {string|string[]} [status] - The status of the fragment, see Fragment.Status
+     * @property {string|RegExp} [content] - A regex that must match the content of the fragment
+     */
+
+    /**
+     * Find fragments matching a query object, in DOM order
+     * @private
+     * @param {Fragments.Fragment~Query} query
+     * @returns {Fragments.Fragment[]}
+     */
+    static query(query) {
+        Fragment.flushIndex();
+
+        let candidates = Fragment.indexCandidates(query);
+
+        let folder = null;
+        if(query.folder != null) {
+            folder = typeof query.folder === "string" ? Folder.resolve(query.folder) : Folder.from(query.folder);
+            if(!(folder instanceof Folder)) {
+                return [];
+            }
+        }
+
+        let classes = query.class == null ? [] : (Array.isArray(query.class) ? query.class : query.class.split(" ").filter((c)=>c !== ""));
+        let statuses = query.status == null ? null : (Array.isArray(query.status) ? query.status : [query.status]);
+        let content = query.content == null ? null : (query.content instanceof RegExp ? query.content : new RegExp(query.content));
+
+        let result = candidates.filter((fragment)=>{
+            if(!fragment.element.isConnected) {
+                return false;
+            }
+            if(query.type != null && !Fragment.matchesAnyPattern(query.type, fragment.type)) {
+                return false;
+            }
+            if(query.name != null && !Fragment.matchesPattern(query.name, fragment.element.getAttribute("name"))) {
+                return false;
+            }
+            if(query.id != null && !Fragment.matchesPattern(query.id, fragment.element.getAttribute("id"))) {
+                return false;
+            }
+            if(query.auto != null && fragment.auto !== query.auto) {
+                return false;
+            }
+            if(!classes.every((c)=>fragment.element.classList.contains(c))) {
+                return false;
+            }
+            if(folder != null && !folder.contains(fragment)) {
+                return false;
+            }
+            if(statuses != null && !statuses.includes(fragment.status)) {
+                return false;
+            }
+            if(content != null) {
+                content.lastIndex = 0;
+                if(!content.test(fragment.raw)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        return result.sort((a, b)=>{
+            return a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+    }
+
+    /**
+     * Get the fragments from the index that could match the indexed properties of the given query
+     * @private
+     * @param {Fragments.Fragment~Query} query
+     * @returns {Fragments.Fragment[]}
+     */
+    static indexCandidates(query) {
+        let sets = [];
+
+        if(query.type != null) {
+            sets.push(Fragment.indexLookup("type", (type)=>Fragment.matchesAnyPattern(query.type, type)));
+        }
+        if(query.name != null) {
+            sets.push(Fragment.indexLookup("name", (name)=>Fragment.matchesPattern(query.name, name)));
+        }
+        if(query.id != null) {
+            sets.push(Fragment.indexLookup("id", (id)=>Fragment.matchesPattern(query.id, id)));
+        }
+        if(query.auto != null) {
+            sets.push(Fragment.indexLookup("auto", (auto)=>auto === query.auto));
+        }
+        if(query.status != null) {
+            let statuses = Array.isArray(query.status) ? query.status : [query.status];
+            sets.push(Fragment.indexLookup("status", (status)=>statuses.includes(status)));
+        }
+        if(query.class != null) {
+            let classes = Array.isArray(query.class) ? query.class : query.class.split(" ").filter((c)=>c !== "");
+            classes.forEach((c)=>{
+                sets.push(Fragment.index.byClass.get(c) || new Set());
+            });
+        }
+
+        if(sets.length === 0) {
+            return Array.from(Fragment.index.all);
+        }
+
+        //Check the smallest set against the others
+        sets.sort((a, b)=>a.size - b.size);
+
+        return Array.from(sets[0]).filter((fragment)=>{
+            return sets.every((set)=>set.has(fragment));
+        });
+    }
+
+    /**
+     * Get the fragments whose indexed value of the given property matches
+     * @private
+     * @param {string} property - The indexed property, ie. "type"
+     * @param {Function} matches - Called with each indexed value, returns true if it matches
+     * @returns {Set<Fragments.Fragment>}
+     */
+    static indexLookup(property, matches) {
+        let result = new Set();
+
+        Fragment.index[Fragment.indexMaps[property]].forEach((fragments, value)=>{
+            if(matches(value)) {
+                fragments.forEach((fragment)=>{
+                    result.add(fragment);
+                });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Check if a value matches a pattern, or any pattern in an array
+     * @private
+     * @param {string|RegExp|Array<string|RegExp>} patterns
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static matchesAnyPattern(patterns, value) {
+        if(Array.isArray(patterns)) {
+            return patterns.some((pattern)=>Fragment.matchesPattern(pattern, value));
+        }
+
+        return Fragment.matchesPattern(patterns, value);
+    }
+
+    /**
+     * Check if a value matches a pattern. String patterns must match the whole value, with * matching anything
+     * @private
+     * @param {string|RegExp} pattern
+     * @param {string} value
+     * @returns {boolean}
+     */
+    static matchesPattern(pattern, value) {
+        if(value == null) {
+            return false;
+        }
+
+        if(pattern instanceof RegExp) {
+            pattern.lastIndex = 0;
+            return pattern.test(value);
+        }
+
+        if(!pattern.includes("*")) {
+            return pattern === value;
+        }
+
+        let regex = new RegExp("^" + pattern.split("*").map((part)=>part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+
+        return regex.test(value);
+    }
+
+    /**
+     * Add a fragment to the query index
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static addToIndex(fragment) {
+        let values = {
+            type: [fragment.type],
+            name: [fragment.element.getAttribute("name")],
+            id: [fragment.element.getAttribute("id")],
+            auto: [fragment.auto],
+            status: [fragment.status],
+            class: Array.from(fragment.element.classList)
+        };
+
+        Fragment.index.all.add(fragment);
+
+        Object.keys(values).forEach((property)=>{
+            let map = Fragment.index[Fragment.indexMaps[property]];
+
+            values[property].forEach((value)=>{
+                if(value == null) {
+                    return;
+                }
+
+                if(!map.has(value)) {
+                    map.set(value, new Set());
+                }
+                map.get(value).add(fragment);
+            });
+        });
+
+        fragment.indexedValues = values;
+    }
+
+    /**
+     * Remove a fragment from the query index
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static removeFromIndex(fragment) {
+        Fragment.index.all.delete(fragment);
+
+        if(fragment.indexedValues == null) {
+            return;
+        }
+
+        Object.keys(fragment.indexedValues).forEach((property)=>{
+            let map = Fragment.index[Fragment.indexMaps[property]];
+
+            fragment.indexedValues[property].forEach((value)=>{
+                let fragments = map.get(value);
+                if(fragments != null) {
+                    fragments.delete(fragment);
+                    if(fragments.size === 0) {
+                        map.delete(value);
+                    }
+                }
+            });
+        });
+
+        fragment.indexedValues = null;
+    }
+
+    /**
+     * Handle mutations the observers of indexed fragments have not delivered yet, so attributes changed earlier in the same task are indexed
+     * @private
+     */
+    static flushIndex() {
+        Fragment.index.all.forEach((fragment)=>{
+            if(!fragment.observing) {
+                return;
+            }
+
+            let mutations = fragment.observer.takeRecords();
+
+            if(mutations.length > 0) {
+                fragment.mutationCallback(mutations);
+            }
+        });
+    }
+
+    /**
+     * Update the query index after an indexed property of a fragment changed, if the fragment is indexed
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static reindex(fragment) {
+        if(!Fragment.index.all.has(fragment)) {
+            return;
+        }
+
+        Fragment.removeFromIndex(fragment);
+        Fragment.addToIndex(fragment);
+    }
+
+    /**
+     * Check if the given persistent uuid is used by a fragment earlier in the document than the one on the given element
+     * @private
+     * @param {string} fragmentUUID - The uuid to check
+     * @param {HTMLElement} element - The element that wants to use the uuid
+     * @returns {boolean}
+     */
+    static isFragmentUUIDTaken(fragmentUUID, element) {
+        return Array.from(document.querySelectorAll("code-fragment[data-uuid='"+CSS.escape(fragmentUUID)+"']")).some((other)=>{
+            return other !== element && (other.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) !== 0;
+        });
+    }
+
+    /**
+     * Store the derived uuid of every fragment that has no persistent uuid of its own, or shares it with a fragment earlier in the document.
+     *
+     * Derived uuids are normally stored when a fragment is edited locally, this can be used to migrate a document, or after bulk copy/paste operations.
+     *
+     * @example
+     * let repaired = Fragment.repairDuplicateUUIDs();
+     *
+     * @returns {Fragments.Fragment[]} - The fragments that had their uuid stored
+     */
+    static repairDuplicateUUIDs() {
+        let repaired = Fragment.find("code-fragment").filter((fragment)=>!fragment.hasPersistentUUID);
+
+        repaired.forEach((fragment)=>{
+            fragment.storeFragmentUUID();
+        });
+
+        return repaired;
+    }
+
+    /**
+     * @typedef {Object} Fragments.Fragment~Timings
+     * @property {Fragments.Fragment~TimingPhase[]} phases - The recorded phases, oldest first
+     * @property {number} cacheHits - Cache lookups for this fragment that were hits
+     * @property {number} cacheMisses - Cache lookups for this fragment that were misses
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~TimingPhase
+     * @property {string} phase - setup, wait, require or autoDom
+     * @property {number} start - When the phase started
+     * @property {number} duration - How long the phase took
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~LoadReportEntry
+     * @property {Fragments.Fragment} fragment
+     * @property {string} path - The path of the fragment
+     * @property {string} type - The type of the fragment
+     * @property {number} start - When the first recorded phase started, or null if nothing was recorded
+     * @property {number} end - When the last recorded phase ended, or null if nothing was recorded
+     * @property {number} setup - Time spent in setupFragment
+     * @property {number} wait - Time spent waiting for earlier loads to finish before the loader picked up the fragment
+     * @property {number} require - Total time spent in require
+     * @property {number} autoDom - Total time spent in insertAutoDom
+     * @property {number} cacheHits - AutoDOMCache hits
+     * @property {number} cacheMisses - AutoDOMCache misses
+     * @property {Fragments.Fragment~TimingPhase[]} phases - Every recorded phase, for drawing the waterfall
+     */
+
+    /**
+     * @typedef {Object} Fragments.Fragment~LoadReport
+     * @property {number} loadComplete - When the initial load of all fragments completed, or null if it is still running
+     * @property {Fragments.Fragment~LoadReportEntry[]} fragments - One entry per fragment, ordered by start
+     */
+
+    /**
+     * Get a waterfall of the time spent loading and running each fragment, ordered by when each fragment started.
+     *
+     * The timings of the initial load are also emitted as User Timing measures named after the phase and fragment path (ie. "Codestrates require /ui/button.js"), and show up in the performance panel of the browser devtools.
+     * All times are in milliseconds relative to performance.timeOrigin.
+     *
+     * @example
+     * let report = Fragment.loadReport();
+     * console.table(report.fragments.map((entry)=>({
+     *     path: entry.path,
+     *     setup: entry.setup,
+     *     wait: entry.wait,
+     *     require: entry.require,
+     *     autoDom: entry.autoDom
+     * })));
+     *
+     * @returns {Fragments.Fragment~LoadReport}
+     */
+    static loadReport() {
+        let fragments = Array.from(Fragment.index.all).map((fragment)=>{
+            let phases = fragment.timings.phases.slice();
+
+            let total = (phase)=>{
+                return phases.filter((entry)=>entry.phase === phase).reduce((sum, entry)=>sum + entry.duration, 0);
+            };
+
+            let start = phases.length > 0 ? Math.min(...phases.map((entry)=>entry.start)) : null;
+            let end = phases.length > 0 ? Math.max(...phases.map((entry)=>entry.start + entry.duration)) : null;
+
+            return {
+                fragment: fragment,
+                path: fragment.path,
+                type: fragment.type,
+                start: start,
+                end: end,
+                setup: total("setup"),
+                wait: total("wait"),
+                require: total("require"),
+                autoDom: total("autoDom"),
+                cacheHits: fragment.timings.cacheHits,
+                cacheMisses: fragment.timings.cacheMisses,
+                phases: phases
+            };
+        }).sort((a, b)=>{
+            if(a.start === b.start) {
+                return 0;
+            }
+            if(a.start === null) {
+                return 1;
+            }
+            if(b.start === null) {
+                return -1;
+            }
+            return a.start - b.start;
+        });
+
+        return {
+            loadComplete: Fragment.loadCompleteTime,
+            fragments: fragments
+        };
+    }
+
     static addAllFragmentsLoadedCallback(callback) {
         if (Fragment.initialLoadComplete){
             callback(); // callbacks added late are called immedaitely
@@ -1152,8 +3810,142 @@ Fragment.initialLoadComplete = false;
 Fragment.fragmentTypes = new Map();
 Fragment.unknownFragments = new Map();
 Fragment.disableAutorun = false;
+
+/**
+ * The prefix of fragment uuids derived from the id of a fragment without a persistent uuid of its own
+ * @private
+ * @type {string}
+ */
+Fragment.derivedUUIDPrefix = "fragment-id-";
+
+/**
+ * The prefix of fragment uuids that only last for this page load, given to fragments without a persistent uuid or a unique id
+ * @private
+ * @type {string}
+ */
+Fragment.transientUUIDPrefix = "transient-";
+
+/**
+ * True while the loader is loading a batch of fragments. Only kept for code that polled it before the loader was queued,
+ * use Fragment.addAllFragmentsLoadedCallback or Fragment.whenLoaded instead.
+ * @type {boolean}
+ * @readonly
+ */
 Fragment.currentlyLoadingFragments = false;
+Fragment.loadQueue = Promise.resolve();
 Fragment.allFragmentsLoadedCallbacks = [];
+Fragment.loadCompleteTime = null;
+Fragment.hotReloadDelay = 500;
+
+/**
+ * How long the loader waits for the autorun of a single fragment before marking it as failed and continuing, in milliseconds.
+ * 0, the default, waits forever.
+ * @type {number}
+ */
+Fragment.autorunTimeout = 0;
+
+/**
+ * How many independent fragments the loader may autorun at the same time.
+ *
+ * An independent fragment whose autorun awaits whenLoaded() of a fragment it does not declare in its requires attribute
+ * holds its slot while waiting. If every slot is held like that, the awaited fragments never start and the loader deadlocks,
+ * so declare such dependencies with requires.
+ * @type {number}
+ */
+Fragment.autorunConcurrency = 4;
+Fragment.requireMiddlewares = [];
+Fragment.validationDelay = 300;
+
+/**
+ * How many timings to keep per fragment for Fragment.loadReport
+ * @type {number}
+ */
+Fragment.maxTimings = 100;
+
+/**
+ * Names of elements inside a fragment element that hold metadata, and are not part of the fragment content
+ * @type {string[]}
+ */
+Fragment.metadataElements = ["FRAGMENT-ANNOTATIONS"];
+
+/**
+ * The attributes holding the lock state of a fragment
+ * @type {string[]}
+ */
+Fragment.lockAttributes = ["locked", "lock-owner", "lock-reason"];
+
+/**
+ * Index of all set up fragments in the document by type, name, id, auto state, status and class, used by Fragment.find query objects.
+ * Fragments are added when set up or inserted into the document, reindexed when an indexed attribute or their status changes, and removed when unloaded.
+ * @private
+ */
+Fragment.index = {
+    all: new Set(),
+    byType: new Map(),
+    byName: new Map(),
+    byId: new Map(),
+    byAuto: new Map(),
+    byStatus: new Map(),
+    byClass: new Map()
+};
+
+/**
+ * The index map holding each indexed property
+ * @private
+ */
+Fragment.indexMaps = {
+    type: "byType",
+    name: "byName",
+    id: "byId",
+    auto: "byAuto",
+    status: "byStatus",
+    class: "byClass"
+};
+
+/**
+ * The attributes that reindex a fragment when they change
+ * @private
+ * @type {string[]}
+ */
+Fragment.indexedAttributes = ["data-type", "name", "id", "auto", "class"];
+
+/**
+ * The possible origins of a change, see Fragments.Fragment~changeRecord
+ * @readonly
+ * @enum {string}
+ */
+Fragment.ChangeOrigin = Object.freeze({
+    /** Changed by a local editor */
+    EDITOR: "editor",
+    /** Changed by code using the fragment api */
+    CODE: "code",
+    /** Changed by a collaborator, or directly in the dom */
+    REMOTE: "remote"
+});
+
+/**
+ * The possible values of Fragment.status
+ * @readonly
+ * @enum {string}
+ */
+Fragment.Status = Object.freeze({
+    /** Created, but not loaded yet */
+    UNLOADED: "unloaded",
+    /** Waiting for its turn in the loader */
+    LOADING: "loading",
+    /** Held back by trust mode until its content is approved, see FragmentTrust */
+    AWAITING_APPROVAL: "awaiting-approval",
+    /** Not autorun, because safe mode skipped it, see SafeMode */
+    SKIPPED: "skipped",
+    /** Currently being required */
+    RUNNING: "running",
+    /** Loaded, and the last require succeeded */
+    READY: "ready",
+    /** The last require failed, see Fragment.lastError */
+    ERRORED: "errored",
+    /** Unloaded and no longer in use */
+    DISPOSED: "disposed"
+});
 
 const urlParams = new URLSearchParams(location.search);
 Fragment.disableAutorun = (urlParams.get("codestrates") === "false");
@@ -1167,6 +3959,9 @@ Fragment.setupFragments();
 wpm.onAllInstalled(()=>{
     Fragment.allInstalledRun = true;
     Fragment.runFragmentsLoaded().then(()=>{
+        Fragment.loadCompleteTime = performance.now();
+        performance.mark("Codestrates loaded");
+
         Fragment.initialLoadComplete = true;
         Fragment.allFragmentsLoadedCallbacks.forEach((callback)=>{
             callback();
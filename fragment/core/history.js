@@ -0,0 +1,308 @@
+/**
+ *  FragmentHistory
+ *  Records timestamped snapshots of fragment content in IndexedDB
+ *
+ *  Copyright 2020, 2021 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+**/
+
+/* global Fragment, EventSystem */
+
+let HISTORY_DATABASE = "codestrates-fragment-history";
+let HISTORY_STORE = "snapshots";
+
+/**
+ * A snapshot of the content of a fragment at some point in time
+ * @typedef {Object} Fragments.FragmentHistory~Snapshot
+ * @property {number} revision - The history revision, increasing by one for each snapshot of the fragment
+ * @property {number} timestamp - When the snapshot was taken, in milliseconds since epoch
+ * @property {string} content - The content of the fragment
+ */
+
+/**
+ * FragmentHistory records the content of fragments locally in IndexedDB, so older versions
+ * can be looked up and restored without access to the Webstrates version API.
+ *
+ * Recording starts the first time a fragment is changed locally, with a snapshot of the content from before that change.
+ * From then on, changes are collected into a snapshot once the fragment has not changed for FragmentHistory.snapshotDelay,
+ * and only the newest FragmentHistory.maxSnapshots snapshots are kept per fragment.
+ * @hideconstructor
+ * @memberof Fragments
+ */
+class FragmentHistory {
+    /**
+     * Open the history database
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    static openDatabase() {
+        if(FragmentHistory.databasePromise == null) {
+            FragmentHistory.databasePromise = new Promise((resolve, reject)=>{
+                let request = indexedDB.open(HISTORY_DATABASE, 1);
+                request.onerror = ()=>{
+                    reject(request.error);
+                };
+                request.onsuccess = ()=>{
+                    resolve(request.result);
+                };
+                request.onupgradeneeded = ()=>{
+                    let store = request.result.createObjectStore(HISTORY_STORE, {keyPath: "id", autoIncrement: true});
+                    store.createIndex("key", "key");
+                };
+            });
+        }
+
+        return FragmentHistory.databasePromise;
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @private
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject)=>{
+            request.onsuccess = ()=>{
+                resolve(request.result);
+            };
+            request.onerror = ()=>{
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * The key snapshots of the given fragment are stored under, unique across webstrates.
+     *
+     * Only read once recording has started, after the first local change has stored the persistent uuid of the fragment.
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @returns {string}
+     */
+    static keyOf(fragment) {
+        return location.pathname + "|" + fragment.fragmentUUID;
+    }
+
+    /**
+     * Get all stored snapshots of a fragment, oldest first
+     * @param {Fragments.Fragment} fragment
+     * @returns {Promise<Fragments.FragmentHistory~Snapshot[]>}
+     */
+    static async getSnapshots(fragment) {
+        let db = await FragmentHistory.openDatabase();
+        let index = db.transaction(HISTORY_STORE).objectStore(HISTORY_STORE).index("key");
+
+        let snapshots = await FragmentHistory.promisify(index.getAll(FragmentHistory.keyOf(fragment)));
+
+        return snapshots.sort((a, b)=>a.revision - b.revision).map((snapshot)=>{
+            return {
+                revision: snapshot.revision,
+                timestamp: snapshot.timestamp,
+                content: snapshot.content
+            };
+        });
+    }
+
+    /**
+     * Get a single snapshot of a fragment
+     * @param {Fragments.Fragment} fragment
+     * @param {number} revision - The history revision to get
+     * @returns {Promise<Fragments.FragmentHistory~Snapshot>} - The snapshot, or null if it is not stored
+     */
+    static async getSnapshot(fragment, revision) {
+        let snapshots = await FragmentHistory.getSnapshots(fragment);
+
+        return snapshots.find((snapshot)=>snapshot.revision === revision) || null;
+    }
+
+    /**
+     * Store the current content of a fragment as a new snapshot, unless it is unchanged since the last one
+     * @param {Fragments.Fragment} fragment
+     * @param {string} [content] - The content to store, defaults to the current content of the fragment
+     * @returns {Promise<Fragments.FragmentHistory~Snapshot>} - The new snapshot, or the latest one if the content was unchanged
+     */
+    static async takeSnapshot(fragment, content = fragment.raw) {
+        let key = FragmentHistory.keyOf(fragment);
+
+        let db = await FragmentHistory.openDatabase();
+        let store = db.transaction(HISTORY_STORE, "readwrite").objectStore(HISTORY_STORE);
+
+        let stored = await FragmentHistory.promisify(store.index("key").getAll(key));
+        stored.sort((a, b)=>a.revision - b.revision);
+
+        let latest = stored[stored.length - 1];
+        if(latest != null && latest.content === content) {
+            return latest;
+        }
+
+        let snapshot = {
+            key: key,
+            revision: latest != null ? latest.revision + 1 : 1,
+            timestamp: Date.now(),
+            content: content
+        };
+
+        await FragmentHistory.promisify(store.add(snapshot));
+
+        //Drop the oldest snapshots above the cap
+        let excess = stored.length + 1 - FragmentHistory.maxSnapshots;
+        for(let i = 0; i < excess; i++) {
+            await FragmentHistory.promisify(store.delete(stored[i].id));
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Delete all stored snapshots of a fragment
+     * @param {Fragments.Fragment} fragment
+     * @returns {Promise<void>}
+     */
+    static async clear(fragment) {
+        let db = await FragmentHistory.openDatabase();
+        let store = db.transaction(HISTORY_STORE, "readwrite").objectStore(HISTORY_STORE);
+
+        let ids = await FragmentHistory.promisify(store.index("key").getAllKeys(FragmentHistory.keyOf(fragment)));
+        for(let id of ids) {
+            await FragmentHistory.promisify(store.delete(id));
+        }
+    }
+
+    /**
+     * Compute the difference between two revisions of a fragment, see Fragment.diff
+     * @param {Fragments.Fragment} fragment
+     * @param {number} fromRevision - The older history revision
+     * @param {number} [toRevision] - The newer history revision, or the current content if not given
+     * @param {object} [options] - Options for Fragment.diff
+     * @returns {Promise<Fragments.Fragment~diffResult>}
+     */
+    static diff(fragment, fromRevision, toRevision = null, options = {}) {
+        let to = toRevision != null ? {fragment: fragment, revision: toRevision} : fragment;
+
+        return Fragment.diff({fragment: fragment, revision: fromRevision}, to, options);
+    }
+
+    /**
+     * Restore a fragment to the content of an earlier revision, changing only the parts that differ
+     * @param {Fragments.Fragment} fragment
+     * @param {number} revision - The history revision to restore
+     * @returns {Promise<Fragments.Fragment~changeRecord>} - The change record of the restore
+     */
+    static async restore(fragment, revision) {
+        let snapshot = await FragmentHistory.getSnapshot(fragment, revision);
+        if(snapshot == null) {
+            throw new Error("No history revision " + revision + " for fragment");
+        }
+
+        return fragment.applyOps(Fragment.computeOps(fragment.raw, snapshot.content));
+    }
+
+    /**
+     * Start following the changes of a fragment, recording its history from the first local change
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static track(fragment) {
+        if(FragmentHistory.trackedFragments.has(fragment)) {
+            return;
+        }
+
+        let tracking = {
+            timeout: null,
+            recording: false,
+            //The content before the first local change, kept in memory until recording starts
+            content: fragment.raw
+        };
+        FragmentHistory.trackedFragments.set(fragment, tracking);
+
+        let snapshot = ()=>{
+            tracking.timeout = null;
+            FragmentHistory.takeSnapshot(fragment).catch((e)=>{
+                console.warn("Unable to store fragment history:", e);
+            });
+        };
+
+        fragment.registerOnFragmentChangedHandler((context, record)=>{
+            if(!tracking.recording) {
+                if(record == null || record.origin === Fragment.ChangeOrigin.REMOTE) {
+                    tracking.content = fragment.raw;
+                    return;
+                }
+
+                //Make sure the content from before the first local change is in the history
+                tracking.recording = true;
+                let before = tracking.content;
+                tracking.content = null;
+                FragmentHistory.takeSnapshot(fragment, before).catch((e)=>{
+                    console.warn("Unable to store fragment history:", e);
+                });
+            }
+
+            clearTimeout(tracking.timeout);
+            tracking.timeout = setTimeout(snapshot, FragmentHistory.snapshotDelay);
+        });
+
+        fragment.registerOnFragmentUnloadedHandler(()=>{
+            if(tracking.timeout != null) {
+                clearTimeout(tracking.timeout);
+                snapshot();
+            }
+            FragmentHistory.trackedFragments.delete(fragment);
+        });
+    }
+
+    /**
+     * Record history for all current and future fragments
+     * @private
+     */
+    static setup() {
+        if(typeof indexedDB === "undefined") {
+            return;
+        }
+
+        Fragment.find("code-fragment").forEach((fragment)=>{
+            FragmentHistory.track(fragment);
+        });
+
+        EventSystem.registerEventCallback("Codestrates.Fragment.StateChanged", ({detail: detail})=>{
+            if(detail.previousStatus === null) {
+                //Wait for the fragment to finish its setup
+                setTimeout(()=>{
+                    FragmentHistory.track(detail.fragment);
+                }, 0);
+            }
+        });
+    }
+}
+
+/**
+ * How long a fragment must be left unchanged before a snapshot is taken, in milliseconds
+ * @type {number}
+ */
+FragmentHistory.snapshotDelay = 2000;
+
+/**
+ * How many snapshots to keep per fragment
+ * @type {number}
+ */
+FragmentHistory.maxSnapshots = 100;
+
+FragmentHistory.trackedFragments = new Map();
+FragmentHistory.databasePromise = null;
+
+window.FragmentHistory = FragmentHistory;
+
+FragmentHistory.setup();
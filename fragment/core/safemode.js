@@ -0,0 +1,312 @@
+/**
+ *  SafeMode
+ *  Skip autorun of selected fragments through url parameters, and recover from crashes during autorun
+ *
+ *  Copyright 2020, 2021 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+**/
+
+/* global Fragment, EventSystem */
+
+/**
+ * Triggers when the loader skips the autorun of a fragment because of safe mode
+ * @event Fragments.SafeMode.EventSystem:"Codestrates.Fragment.Skipped"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment that was skipped
+ * @property {string} reason - Why the fragment was skipped
+ */
+
+/**
+ * SafeMode lets autorun be disabled for single fragments or types, instead of for everything with ?codestrates=false
+ *
+ * Entries are separated by commas, and are either mime types, optionally with wildcards, or css selectors:
+ * <pre><code>?codestrates.skip=#broken,text/python
+ * ?codestrates.only=.core,text/css</code></pre>
+ *
+ * If the page died while fragments were autorunning, the next load of the page in the same tab offers to skip those fragments.
+ * @hideconstructor
+ * @memberof Fragments
+ */
+class SafeMode {
+    /**
+     * Parse a comma separated list of mime types and selectors
+     * @private
+     * @param {string} value
+     * @returns {string[]}
+     */
+    static parseList(value) {
+        if(value == null) {
+            return [];
+        }
+
+        return value.split(",").map((entry)=>entry.trim()).filter((entry)=>entry.length > 0);
+    }
+
+    /**
+     * Check if the given fragment matches an entry of a skip or only list
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @param {string} entry - A mime type or a css selector
+     * @returns {boolean}
+     */
+    static matches(fragment, entry) {
+        if(SafeMode.isTypeEntry(entry)) {
+            return Fragment.matchesPattern(entry, fragment.type);
+        }
+
+        try {
+            return fragment.element.matches(entry);
+        } catch(e) {
+            console.warn("Invalid safe mode selector:", entry);
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} entry
+     * @returns {boolean}
+     */
+    static isTypeEntry(entry) {
+        return /^[\w*.+-]+\/[\w*.+-]+$/.test(entry);
+    }
+
+    /**
+     * Check if the autorun of the given fragment should be skipped
+     * @param {Fragments.Fragment} fragment
+     * @returns {string} - The reason the fragment is skipped, or null if it should run
+     */
+    static skipReason(fragment) {
+        let skipEntry = SafeMode.skip.find((entry)=>SafeMode.matches(fragment, entry));
+        if(skipEntry != null) {
+            return "matches codestrates.skip entry " + skipEntry;
+        }
+
+        if(SafeMode.only.length > 0 && !SafeMode.only.some((entry)=>SafeMode.matches(fragment, entry))) {
+            return "does not match codestrates.only";
+        }
+
+        if(SafeMode.crashedFragments.length > 0 && SafeMode.crashedFragments.includes(SafeMode.crashKey(fragment))) {
+            return "was running when the page crashed";
+        }
+
+        return null;
+    }
+
+    /**
+     * The key a fragment is remembered by in the crash marker.
+     *
+     * Fragments are only read from, never given a persistent uuid, so fragments without one are remembered by their position,
+     * which is the same when the page is reloaded right after the crash.
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @returns {string}
+     */
+    static crashKey(fragment) {
+        let fragmentUUID = fragment.fragmentUUID;
+        if(!fragmentUUID.startsWith(Fragment.transientUUIDPrefix)) {
+            return fragmentUUID;
+        }
+
+        let position = [];
+        let node = fragment.element;
+        while(node.parentElement != null) {
+            position.unshift(Array.prototype.indexOf.call(node.parentElement.children, node));
+            node = node.parentElement;
+        }
+
+        return "at-" + position.join(".");
+    }
+
+    /**
+     * True if any fragments are being skipped by safe mode
+     * @type {boolean}
+     */
+    static get active() {
+        return SafeMode.skip.length > 0 || SafeMode.only.length > 0 || SafeMode.crashedFragments.length > 0;
+    }
+
+    /**
+     * Mark a fragment as skipped, report it and show it in the banner
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @param {string} reason
+     */
+    static markSkipped(fragment, reason) {
+        SafeMode.skippedFragments.set(fragment, reason);
+
+        fragment.registerOnFragmentUnloadedHandler(()=>{
+            SafeMode.skippedFragments.delete(fragment);
+            SafeMode.updateBanner();
+        });
+
+        console.warn("Safe mode: not autorunning fragment " + fragment.path + ", it " + reason);
+
+        EventSystem.triggerEvent("Codestrates.Fragment.Skipped", {
+            fragment: fragment,
+            reason: reason
+        });
+
+        SafeMode.updateBanner();
+    }
+
+    /**
+     * Show or update the banner listing the skipped fragments
+     * @private
+     */
+    static updateBanner() {
+        let banner = document.querySelector("transient.codestrates-safe-mode");
+
+        if(SafeMode.skippedFragments.size === 0) {
+            if(banner != null) {
+                banner.remove();
+            }
+            return;
+        }
+
+        if(banner == null) {
+            banner = document.createElement("transient");
+            banner.classList.add("codestrates-safe-mode");
+            document.body.insertBefore(banner, document.body.firstChild);
+        }
+
+        banner.innerHTML = "";
+
+        let title = document.createElement("div");
+        title.classList.add("codestrates-safe-mode-title");
+        title.textContent = "Safe mode: " + SafeMode.skippedFragments.size + " fragment" + (SafeMode.skippedFragments.size === 1 ? " was" : "s were") + " not autorun";
+        banner.appendChild(title);
+
+        let list = document.createElement("ul");
+        SafeMode.skippedFragments.forEach((reason, fragment)=>{
+            let item = document.createElement("li");
+            item.textContent = fragment.path + " (" + fragment.type + ") " + reason;
+            list.appendChild(item);
+        });
+        banner.appendChild(list);
+
+        let exit = document.createElement("button");
+        exit.textContent = "Reload without safe mode";
+        exit.addEventListener("click", ()=>{
+            SafeMode.exit();
+        });
+        banner.appendChild(exit);
+
+        let close = document.createElement("button");
+        close.textContent = "Hide";
+        close.addEventListener("click", ()=>{
+            banner.remove();
+        });
+        banner.appendChild(close);
+    }
+
+    /**
+     * Reload the page with every fragment autorunning again
+     */
+    static exit() {
+        let url = new URL(location.href);
+        url.searchParams.delete("codestrates.skip");
+        url.searchParams.delete("codestrates.only");
+        location.href = url.toString();
+    }
+
+    /**
+     * Remember that the given fragment is autorunning, so it can be skipped if the page dies before it is done
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static autorunStarted(fragment) {
+        SafeMode.runningFragments.add(fragment);
+        SafeMode.storeCrashMarker();
+    }
+
+    /**
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static autorunFinished(fragment) {
+        SafeMode.runningFragments.delete(fragment);
+        SafeMode.storeCrashMarker();
+    }
+
+    /**
+     * @private
+     */
+    static storeCrashMarker() {
+        try {
+            if(SafeMode.runningFragments.size === 0) {
+                sessionStorage.removeItem(SafeMode.crashMarkerKey());
+            } else {
+                sessionStorage.setItem(SafeMode.crashMarkerKey(), JSON.stringify(Array.from(SafeMode.runningFragments).map((fragment)=>{
+                    return {
+                        key: SafeMode.crashKey(fragment),
+                        path: fragment.path
+                    };
+                })));
+            }
+        } catch(e) {
+            //sessionStorage is not available, ie. in sandboxed iframes
+        }
+    }
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    static crashMarkerKey() {
+        return "codestrates.autorun|" + location.pathname;
+    }
+
+    /**
+     * Read the url parameters, and offer safe mode if the previous load died during autorun
+     * @private
+     */
+    static setup() {
+        let urlParams = new URLSearchParams(location.search);
+        SafeMode.skip = SafeMode.parseList(urlParams.get("codestrates.skip"));
+        SafeMode.only = SafeMode.parseList(urlParams.get("codestrates.only"));
+
+        let crashed = null;
+        try {
+            crashed = JSON.parse(sessionStorage.getItem(SafeMode.crashMarkerKey()));
+            sessionStorage.removeItem(SafeMode.crashMarkerKey());
+        } catch(e) {
+            crashed = null;
+        }
+
+        if(Array.isArray(crashed) && crashed.length > 0 && !Fragment.disableAutorun) {
+            let paths = crashed.map((entry)=>entry.path).join("\n");
+            if(window.confirm("The page did not finish starting last time, while autorunning:\n\n" + paths + "\n\nStart in safe mode, without autorunning these fragments?")) {
+                SafeMode.crashedFragments = crashed.map((entry)=>entry.key);
+            }
+        }
+
+        //A normal unload is not a crash
+        window.addEventListener("pagehide", ()=>{
+            SafeMode.runningFragments.clear();
+            SafeMode.storeCrashMarker();
+        });
+    }
+}
+
+SafeMode.skip = [];
+SafeMode.only = [];
+SafeMode.crashedFragments = [];
+SafeMode.skippedFragments = new Map();
+SafeMode.runningFragments = new Set();
+
+window.SafeMode = SafeMode;
+
+SafeMode.setup();
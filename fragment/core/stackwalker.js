@@ -84,11 +84,47 @@ class StackWalker {
 
         return cleanedStack;
     }
+
+    /**
+     * Remember which fragment the code with the given sourceURL came from
+     * @private
+     * @param {string} sourceURL - The sourceURL, ie. codestrates/ui/widgets/button.js
+     * @param {Fragments.Fragment} fragment
+     */
+    static registerSourceURL(sourceURL, fragment) {
+        StackWalker.sourceURLs.set(sourceURL, fragment);
+    }
+
+    /**
+     * Find the fragment that code with the given url in a stack trace came from.
+     *
+     * Browsers may resolve the sourceURL against the page url, so the url only has to end with the sourceURL.
+     * @param {string} url - The url of a stack frame
+     * @returns {Fragments.Fragment} - The fragment, or null if the url is not from a fragment
+     */
+    static fragmentFromSourceURL(url) {
+        if(url == null) {
+            return null;
+        }
+
+        let found = null;
+        let foundLength = 0;
+
+        StackWalker.sourceURLs.forEach((fragment, sourceURL)=>{
+            if((url === sourceURL || url.endsWith("/" + sourceURL)) && sourceURL.length > foundLength) {
+                found = fragment;
+                foundLength = sourceURL.length;
+            }
+        });
+
+        return found;
+    }
 }
 
 window.StackWalker = StackWalker;
 
 StackWalker.stackCleanPatterns = [];
+StackWalker.sourceURLs = new Map();
 
 StackWalker.stackCleanPatterns.push({
     pattern: [
@@ -130,7 +166,7 @@ StackWalker.stackCleanPatterns.push({
     pattern: [
         "~.require",
         "~.onFragmentsLoaded",
-        "Function.runFragmentsLoaded"
+        "~Function.runWithTimeout"
     ],
     output: {
         method: "<Codestrate Autostart>",
@@ -250,7 +286,7 @@ StackWalker.stackCleanPatterns.push({
         "P5Fragment.createAutoDom",
         "P5Fragment.insertAutoDom",
         "P5Fragment.onFragmentsLoaded",
-        "Function.runFragmentsLoaded"
+        "~Function.runWithTimeout"
     ],
     output: {
         method: "<Codestrate Autorun>",
@@ -318,9 +354,17 @@ StackWalker.stackCleanPatterns.push({
     ],
     output: {
         method: (si) =>{
-            //Internal fragment
-            let fragmentUUID = si.method.substring(si.method.indexOf("CS_ASYNC_fragment_")+9).replace("_", "-");
-            let fragment = Fragment.fromFragmentUUID(fragmentUUID);
+            //Internal fragment, found from the sourceURL of the code if possible
+            let fragment = si.fragment;
+            if(fragment == null) {
+                let fragmentUUID = si.method.substring(si.method.indexOf("CS_ASYNC_fragment_")+9).replace("_", "-");
+                fragment = Fragment.fromFragmentUUID(fragmentUUID);
+            }
+
+            let path = fragment.path;
+            if(path != null) {
+                return fragment.constructor.name+" "+path;
+            }
 
             let attrName = fragment.element.getAttribute("name");
             let attrId = fragment.element.getAttribute("id");
@@ -0,0 +1,677 @@
+/**
+ *  FragmentTrust
+ *  Only autorun fragments whose content has been approved by a maintainer
+ *
+ *  Copyright 2020, 2021 Rolf Bagge, Janus B. Kristensen, CAVI,
+ *  Center for Advanced Visualization and Interaction, Aarhus University
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+**/
+
+/* global Fragment, EventSystem, webstrate */
+
+/**
+ * Triggers when trust mode holds back the automatic behaviour of a fragment, because its content is not approved
+ * @event Fragments.FragmentTrust.EventSystem:"Codestrates.Fragment.ApprovalRequired"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The fragment waiting for approval
+ * @property {string} hash - The hash of the content waiting for approval
+ * @property {string} approvedContent - The last approved content of the fragment, or null if it was never approved
+ * @property {Fragments.Fragment~diffResult} diff - The changes since the last approved content, or null if it was never approved
+ * @property {string} unifiedDiff - The same changes as a unified diff, or null if it was never approved
+ */
+
+/**
+ * Triggers when the content of a fragment is approved
+ * @event Fragments.FragmentTrust.EventSystem:"Codestrates.Fragment.Approved"
+ * @type {Event}
+ * @property {Fragments.Fragment} fragment - The approved fragment
+ * @property {string} hash - The hash of the approved content
+ */
+
+/**
+ * @typedef {Object} Fragments.FragmentTrust~Approval
+ * @property {string} hash - SHA-256 of the fragment type, the attributes that change how it runs, and its content
+ * @property {number} revision - The revision of the trust store the approval was made in
+ * @property {string} signature - ECDSA signature of the fragment uuid, hash and revision, made with the private key of the maintainer, as base64
+ * @property {string} content - The approved content, used to show what changed since
+ * @property {string} by - The user who approved it
+ * @property {number} at - When it was approved, in milliseconds since epoch
+ */
+
+/**
+ * Trust mode only lets the loader, hot reload, automatic dom and require run fragments whose content has been approved.
+ * Fragments that are unknown, or changed since they were approved, wait until a maintainer approves them.
+ *
+ * Trust mode is configured outside the document, so people who can edit the webstrate can not turn it off. Set window.codestratesTrustKey
+ * to the public key of the maintainer, as an ECDSA P-256 JWK or CryptoKey, before Codestrates loads, ie. from a script served next to the webstrate.
+ * Setting window.codestratesRequireTrust to true without a key holds back every fragment.
+ *
+ * The approvals are stored in a JSON fragment with the id codestrates-trust, keyed by the persistent uuid of each fragment.
+ * Each approval is signed with the private key of the maintainer, so approvals that are edited, copied to another fragment or
+ * added without the key are not trusted, and deleting the trust store only makes every fragment wait for approval.
+ * Approvals cover the content, the type and the attributes in FragmentTrust.executionAttributes, so changing how approved code runs needs a new approval.
+ *
+ * Every approval and revocation increases the revision of the trust store, and the maintainer signs which revision of each approval is current.
+ * An older approval put back for a fragment is not trusted, and each client remembers the newest revision it has seen, so it does not trust
+ * an older copy of the whole trust store either.
+ *
+ * @example
+ * //Once, keep the private key to yourself
+ * let keys = await FragmentTrust.generateKeys();
+ *
+ * //Before Codestrates loads
+ * window.codestratesTrustKey = keys.publicKey;
+ *
+ * EventSystem.registerEventCallback("Codestrates.Fragment.ApprovalRequired", ({detail: detail})=>{
+ *     console.log(detail.fragment.path, "needs approval", detail.unifiedDiff);
+ * });
+ *
+ * await FragmentTrust.approve(Fragment.one("#myFragment"), keys.privateKey);
+ * @hideconstructor
+ * @memberof Fragments
+ */
+class FragmentTrust {
+    /**
+     * True if trust mode is enabled
+     * @type {boolean}
+     */
+    static get enabled() {
+        return window.codestratesRequireTrust === true || window.codestratesTrustKey != null;
+    }
+
+    /**
+     * Generate a key pair for approving fragments
+     * @returns {Promise<{publicKey: Object, privateKey: Object}>} - The keys as JWK
+     */
+    static async generateKeys() {
+        let keys = await crypto.subtle.generateKey(FragmentTrust.keyAlgorithm, true, ["sign", "verify"]);
+
+        return {
+            publicKey: await crypto.subtle.exportKey("jwk", keys.publicKey),
+            privateKey: await crypto.subtle.exportKey("jwk", keys.privateKey)
+        };
+    }
+
+    /**
+     * Import a key given as JWK, or return it if it already is a CryptoKey
+     * @private
+     * @param {Object|CryptoKey} key
+     * @param {string} usage - "sign" or "verify"
+     * @returns {Promise<CryptoKey>}
+     */
+    static importKey(key, usage) {
+        if(typeof CryptoKey !== "undefined" && key instanceof CryptoKey) {
+            return Promise.resolve(key);
+        }
+
+        return crypto.subtle.importKey("jwk", key, FragmentTrust.keyAlgorithm, false, [usage]);
+    }
+
+    /**
+     * Get the configured public key of the maintainer
+     * @private
+     * @returns {Promise<CryptoKey>} - The key, or null if none is configured
+     */
+    static publicKey() {
+        let key = window.codestratesTrustKey;
+        if(key == null) {
+            return Promise.resolve(null);
+        }
+
+        if(FragmentTrust.importedKey == null || FragmentTrust.importedKey.source !== key) {
+            FragmentTrust.importedKey = {
+                source: key,
+                promise: FragmentTrust.importKey(key, "verify")
+            };
+        }
+
+        return FragmentTrust.importedKey.promise;
+    }
+
+    /**
+     * The bytes signed for an approval, binding the approved content to the fragment and the revision it was approved in
+     * @private
+     * @param {string} fragmentUUID
+     * @param {string} hash
+     * @param {number} revision
+     * @returns {Uint8Array}
+     */
+    static signedData(fragmentUUID, hash, revision) {
+        return new TextEncoder().encode(fragmentUUID + "\n" + hash + "\n" + revision);
+    }
+
+    /**
+     * The bytes signed for the trust store, binding each fragment to the revision of its current approval
+     * @private
+     * @param {number} revision - The revision of the trust store
+     * @param {Object<string, Fragments.FragmentTrust~Approval>} approvals
+     * @returns {Uint8Array}
+     */
+    static signedStoreData(revision, approvals) {
+        let current = Object.keys(approvals).sort().map((fragmentUUID)=>{
+            return fragmentUUID + "=" + approvals[fragmentUUID].revision;
+        });
+
+        return new TextEncoder().encode(FragmentTrust.storeId + "\n" + revision + "\n" + current.join("\n"));
+    }
+
+    /**
+     * Check a signature against the configured public key
+     * @private
+     * @param {string} signature - As base64
+     * @param {Uint8Array} data
+     * @returns {Promise<boolean>}
+     */
+    static async verifySignature(signature, data) {
+        if(typeof signature !== "string") {
+            return false;
+        }
+
+        try {
+            let key = await FragmentTrust.publicKey();
+            if(key == null) {
+                return false;
+            }
+
+            let signatureBytes = Uint8Array.from(atob(signature), (c)=>c.charCodeAt(0));
+
+            return await crypto.subtle.verify(FragmentTrust.signatureAlgorithm, key, signatureBytes, data);
+        } catch(e) {
+            console.warn("Unable to verify signature:", e);
+            return false;
+        }
+    }
+
+    /**
+     * Sign the given data with the private key of the maintainer
+     * @private
+     * @param {Object|CryptoKey} privateKey
+     * @param {Uint8Array} data
+     * @returns {Promise<string>} - The signature as base64
+     */
+    static async sign(privateKey, data) {
+        let key = await FragmentTrust.importKey(privateKey, "sign");
+        let signature = await crypto.subtle.sign(FragmentTrust.signatureAlgorithm, key, data);
+
+        return btoa(String.fromCharCode(...new Uint8Array(signature)));
+    }
+
+    /**
+     * Check the signature of an approval against the configured public key
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @param {Fragments.FragmentTrust~Approval} approval
+     * @returns {Promise<boolean>}
+     */
+    static async verify(fragment, approval) {
+        if(approval == null || typeof approval.hash !== "string" || typeof approval.revision !== "number") {
+            return false;
+        }
+
+        if(!await FragmentTrust.verifyStore()) {
+            return false;
+        }
+
+        return FragmentTrust.verifySignature(approval.signature, FragmentTrust.signedData(fragment.fragmentUUID, approval.hash, approval.revision));
+    }
+
+    /**
+     * Check that the trust store is signed by the maintainer, and is not older than the newest revision this client has seen
+     * @private
+     * @returns {Promise<boolean>}
+     */
+    static async verifyStore() {
+        let store = FragmentTrust.getStore();
+        if(store == null) {
+            return false;
+        }
+
+        let raw = store.raw;
+
+        if(FragmentTrust.verifiedStore == null || FragmentTrust.verifiedStore.raw !== raw) {
+            let content = FragmentTrust.readStore();
+
+            FragmentTrust.verifiedStore = {
+                raw: raw,
+                promise: FragmentTrust.verifySignature(content.signature, FragmentTrust.signedStoreData(content.revision, content.approved)).then((valid)=>{
+                    if(!valid) {
+                        console.warn("The trust store is not signed by the maintainer");
+                        return false;
+                    }
+
+                    if(content.revision < FragmentTrust.seenRevision()) {
+                        console.warn("The trust store has been rolled back to revision " + content.revision + ", revision " + FragmentTrust.seenRevision() + " has been seen before");
+                        return false;
+                    }
+
+                    FragmentTrust.storeSeenRevision(content.revision);
+                    return true;
+                })
+            };
+        }
+
+        return FragmentTrust.verifiedStore.promise;
+    }
+
+    /**
+     * The newest revision of the trust store this client has seen
+     * @private
+     * @returns {number}
+     */
+    static seenRevision() {
+        try {
+            return parseInt(localStorage.getItem(FragmentTrust.seenRevisionKey()), 10) || 0;
+        } catch(e) {
+            //localStorage is not available, ie. in sandboxed iframes
+            return 0;
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} revision
+     */
+    static storeSeenRevision(revision) {
+        try {
+            if(revision > FragmentTrust.seenRevision()) {
+                localStorage.setItem(FragmentTrust.seenRevisionKey(), "" + revision);
+            }
+        } catch(e) {
+            //localStorage is not available, ie. in sandboxed iframes
+        }
+    }
+
+    /**
+     * @private
+     * @returns {string}
+     */
+    static seenRevisionKey() {
+        return "codestrates.trust|" + location.pathname;
+    }
+
+    /**
+     * Get the fragment storing the approvals
+     * @returns {Fragments.Fragment} - The trust store, or null if there is none
+     */
+    static getStore() {
+        let element = document.getElementById(FragmentTrust.storeId);
+
+        if(element == null || element.fragment == null || element.fragment.type !== "application/json") {
+            return null;
+        }
+
+        return element.fragment;
+    }
+
+    /**
+     * Read the trust store
+     * @private
+     * @returns {{revision: number, approved: Object<string, Fragments.FragmentTrust~Approval>, signature: string}}
+     */
+    static readStore() {
+        let empty = {revision: 0, approved: {}, signature: null};
+
+        let store = FragmentTrust.getStore();
+        if(store == null) {
+            return empty;
+        }
+
+        try {
+            let content = JSON.parse(store.raw);
+            if(content == null) {
+                return empty;
+            }
+
+            return {
+                revision: typeof content.revision === "number" ? content.revision : 0,
+                approved: content.approved != null ? content.approved : {},
+                signature: typeof content.signature === "string" ? content.signature : null
+            };
+        } catch(e) {
+            console.warn("Unable to read the trust store:", e);
+            return empty;
+        }
+    }
+
+    /**
+     * Read the approvals from the trust store
+     * @private
+     * @returns {Object<string, Fragments.FragmentTrust~Approval>}
+     */
+    static readApprovals() {
+        return FragmentTrust.readStore().approved;
+    }
+
+    /**
+     * The text hashed to approve the current version of a fragment
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @returns {string}
+     */
+    static hashedData(fragment) {
+        let attributes = FragmentTrust.executionAttributes.filter((name)=>{
+            return fragment.element.hasAttribute(name);
+        }).map((name)=>{
+            return [name, fragment.element.getAttribute(name)];
+        });
+
+        return fragment.type + "\n" + JSON.stringify(attributes) + "\n" + fragment.raw;
+    }
+
+    /**
+     * Compute the hash used to approve the current content of a fragment
+     * @param {Fragments.Fragment} fragment
+     * @returns {Promise<string>} - SHA-256 of the type, the attributes in FragmentTrust.executionAttributes and the content, as hex
+     */
+    static async hash(fragment) {
+        let hashBytes = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(FragmentTrust.hashedData(fragment)));
+
+        return Array.prototype.map.call(new Uint8Array(hashBytes), (x)=>{
+            return ("0" + x.toString(16)).slice(-2);
+        }).join("");
+    }
+
+    /**
+     * Get the last approval of a fragment
+     * @param {Fragments.Fragment} fragment
+     * @returns {Fragments.FragmentTrust~Approval} - The approval, or null if the fragment was never approved
+     */
+    static getApproval(fragment) {
+        return FragmentTrust.readApprovals()[fragment.fragmentUUID] || null;
+    }
+
+    /**
+     * Check if the current content of a fragment is approved
+     * @param {Fragments.Fragment} fragment
+     * @returns {Promise<boolean>} - True if approved, or if trust mode is disabled
+     */
+    static isApproved(fragment) {
+        let store = FragmentTrust.getStore();
+
+        if(!FragmentTrust.enabled || fragment === store) {
+            return Promise.resolve(true);
+        }
+
+        //The loader, require and execute all check the same run, so reuse the result until the fragment or the trust store changes
+        let data = FragmentTrust.hashedData(fragment);
+        let storeRaw = store != null ? store.raw : null;
+
+        let check = FragmentTrust.approvalChecks.get(fragment);
+        if(check == null || check.data !== data || check.storeRaw !== storeRaw) {
+            check = {
+                data: data,
+                storeRaw: storeRaw,
+                promise: (async ()=>{
+                    let approval = FragmentTrust.getApproval(fragment);
+                    if(approval == null || approval.hash !== await FragmentTrust.hash(fragment)) {
+                        return false;
+                    }
+
+                    return FragmentTrust.verify(fragment, approval);
+                })()
+            };
+            FragmentTrust.approvalChecks.set(fragment, check);
+        }
+
+        return check.promise;
+    }
+
+    /**
+     * Check if a fragment may run automatically. If not, the fragment waits for approval, and resume is called once it is approved.
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @param {Function} [resume] - Runs the held back behaviour
+     * @returns {Promise<boolean>} - True if the fragment may run now
+     */
+    static async checkApproval(fragment, resume = null) {
+        if(await FragmentTrust.isApproved(fragment)) {
+            return true;
+        }
+
+        if(!FragmentTrust.pendingFragments.has(fragment)) {
+            fragment.registerOnFragmentUnloadedHandler(()=>{
+                FragmentTrust.pendingFragments.delete(fragment);
+            });
+        }
+
+        //Only the latest held back behaviour is resumed
+        if(resume != null || !FragmentTrust.pendingFragments.has(fragment)) {
+            FragmentTrust.pendingFragments.set(fragment, resume);
+        }
+
+        FragmentTrust.notifyApprovalRequired(fragment);
+
+        return false;
+    }
+
+    /**
+     * Report that a fragment waits for approval, once per version of the fragment.
+     *
+     * The report waits until the fragment has not been checked for FragmentTrust.notifyDelay, so editing a fragment with automatic dom
+     * does not report every keystroke.
+     * @private
+     * @param {Fragments.Fragment} fragment
+     */
+    static notifyApprovalRequired(fragment) {
+        clearTimeout(FragmentTrust.notifyTimeouts.get(fragment));
+
+        FragmentTrust.notifyTimeouts.set(fragment, setTimeout(async ()=>{
+            FragmentTrust.notifyTimeouts.delete(fragment);
+
+            //Approved in the meantime
+            if(!FragmentTrust.pendingFragments.has(fragment)) {
+                return;
+            }
+
+            try {
+                let hash = await FragmentTrust.hash(fragment);
+                if(FragmentTrust.notifiedHashes.get(fragment) === hash) {
+                    return;
+                }
+                FragmentTrust.notifiedHashes.set(fragment, hash);
+
+                let approval = FragmentTrust.getApproval(fragment);
+                let diff = null;
+                let unifiedDiff = null;
+
+                if(approval != null) {
+                    diff = await Fragment.diff(approval.content, fragment);
+                    unifiedDiff = Fragment.formatUnifiedDiff(diff);
+                }
+
+                EventSystem.triggerEvent("Codestrates.Fragment.ApprovalRequired", {
+                    fragment: fragment,
+                    hash: hash,
+                    approvedContent: approval != null ? approval.content : null,
+                    diff: diff,
+                    unifiedDiff: unifiedDiff
+                });
+            } catch(e) {
+                console.warn("Unable to report fragment waiting for approval:", e);
+            }
+        }, FragmentTrust.notifyDelay));
+    }
+
+    /**
+     * Throw if the current content of a fragment is not approved, reporting that it waits for approval
+     * @private
+     * @param {Fragments.Fragment} fragment
+     * @returns {Promise<void>}
+     */
+    static async assertApproved(fragment) {
+        if(!await FragmentTrust.checkApproval(fragment)) {
+            throw new Error("Fragment " + fragment.path + " is waiting for approval");
+        }
+    }
+
+    /**
+     * The fragments currently waiting for approval
+     * @returns {Fragments.Fragment[]}
+     */
+    static pending() {
+        return Array.from(FragmentTrust.pendingFragments.keys());
+    }
+
+    /**
+     * Approve the current content of a fragment, and run what was held back while it waited for approval.
+     *
+     * The approval is signed with the given private key, and only trusted if it matches the configured public key.
+     * The trust store is created, and locked, if it is missing.
+     * @param {Fragments.Fragment} fragment
+     * @param {Object|CryptoKey} [privateKey] - The private key of the maintainer, as JWK or CryptoKey, defaults to window.codestratesTrustSigningKey
+     * @returns {Promise<Fragments.FragmentTrust~Approval>}
+     */
+    static async approve(fragment, privateKey = window.codestratesTrustSigningKey) {
+        if(privateKey == null) {
+            throw new Error("Approving fragments requires the private key of the maintainer");
+        }
+
+        let user = typeof webstrate !== "undefined" && webstrate.user != null ? webstrate.user.username : null;
+
+        let hash = await FragmentTrust.hash(fragment);
+
+        let store = FragmentTrust.getStore();
+        if(store == null) {
+            store = Fragment.create("application/json", {
+                id: FragmentTrust.storeId,
+                name: "trust",
+                content: JSON.stringify({approved: {}}, null, 4),
+                parent: document.body
+            });
+            store.lock({reason: "Trust store, approvals are signed by the maintainer"});
+        }
+
+        //Store the uuid, as the signature is bound to it
+        fragment.storeFragmentUUID();
+
+        let content = FragmentTrust.readStore();
+        let revision = Math.max(content.revision, FragmentTrust.seenRevision()) + 1;
+
+        let approval = {
+            hash: hash,
+            revision: revision,
+            signature: await FragmentTrust.sign(privateKey, FragmentTrust.signedData(fragment.fragmentUUID, hash, revision)),
+            content: fragment.raw,
+            by: user,
+            at: Date.now()
+        };
+
+        content.approved[fragment.fragmentUUID] = approval;
+        await FragmentTrust.writeStore(store, revision, content.approved, privateKey);
+
+        EventSystem.triggerEvent("Codestrates.Fragment.Approved", {
+            fragment: fragment,
+            hash: approval.hash
+        });
+
+        let resume = FragmentTrust.pendingFragments.get(fragment);
+        FragmentTrust.pendingFragments.delete(fragment);
+        FragmentTrust.notifiedHashes.delete(fragment);
+
+        if(resume != null) {
+            await resume();
+        }
+
+        return approval;
+    }
+
+    /**
+     * Remove the approval of a fragment, it will wait for approval the next time it runs automatically.
+     *
+     * The trust store is signed again, so the removed approval can not be put back.
+     * @param {Fragments.Fragment} fragment
+     * @param {Object|CryptoKey} [privateKey] - The private key of the maintainer, as JWK or CryptoKey, defaults to window.codestratesTrustSigningKey
+     * @returns {Promise<void>}
+     */
+    static async revoke(fragment, privateKey = window.codestratesTrustSigningKey) {
+        if(privateKey == null) {
+            throw new Error("Revoking approvals requires the private key of the maintainer");
+        }
+
+        let store = FragmentTrust.getStore();
+        if(store == null) {
+            return;
+        }
+
+        let content = FragmentTrust.readStore();
+        delete content.approved[fragment.fragmentUUID];
+        await FragmentTrust.writeStore(store, Math.max(content.revision, FragmentTrust.seenRevision()) + 1, content.approved, privateKey);
+    }
+
+    /**
+     * Sign and write the approvals to the trust store, keeping the lock against accidental edits
+     * @private
+     * @param {Fragments.Fragment} store
+     * @param {number} revision - The new revision of the trust store
+     * @param {Object<string, Fragments.FragmentTrust~Approval>} approvals
+     * @param {Object|CryptoKey} privateKey
+     * @returns {Promise<void>}
+     */
+    static async writeStore(store, revision, approvals, privateKey) {
+        let signature = await FragmentTrust.sign(privateKey, FragmentTrust.signedStoreData(revision, approvals));
+
+        let locked = store.locked;
+        let owner = store.lockOwner;
+        let reason = store.lockReason;
+
+        store.unlock({force: true});
+        try {
+            store.raw = JSON.stringify({revision: revision, signature: signature, approved: approvals}, null, 4);
+        } finally {
+            if(locked) {
+                store.lock({owner: owner, reason: reason, force: true});
+            }
+        }
+    }
+}
+
+/**
+ * The id of the JSON fragment holding the approvals
+ * @type {string}
+ */
+FragmentTrust.storeId = "codestrates-trust";
+
+/**
+ * The attributes that change how a fragment runs, and are covered by its approval
+ * @type {string[]}
+ */
+FragmentTrust.executionAttributes = ["auto", "hot", "module", "requires", "independent", "track-resources", "unique-modules"];
+
+FragmentTrust.keyAlgorithm = {name: "ECDSA", namedCurve: "P-256"};
+FragmentTrust.signatureAlgorithm = {name: "ECDSA", hash: "SHA-256"};
+
+/**
+ * How long a fragment waiting for approval must be left unchecked before it is reported, in milliseconds
+ * @type {number}
+ */
+FragmentTrust.notifyDelay = 300;
+
+FragmentTrust.pendingFragments = new Map();
+FragmentTrust.approvalChecks = new WeakMap();
+FragmentTrust.notifyTimeouts = new Map();
+FragmentTrust.notifiedHashes = new WeakMap();
+FragmentTrust.importedKey = null;
+FragmentTrust.verifiedStore = null;
+
+window.FragmentTrust = FragmentTrust;
+
+//Also hold back fragments that are required directly, not only by the loader
+Fragment.registerRequireMiddleware((context, next)=>{
+    //Keep require as it was when trust mode is disabled
+    if(!FragmentTrust.enabled) {
+        return next();
+    }
+
+    return FragmentTrust.assertApproved(context.fragment).then(()=>next());
+}, {priority: 1000});
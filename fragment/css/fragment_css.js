@@ -57,6 +57,64 @@ class CSSFragment extends Fragment {
         return true;
     }
 
+    /**
+     * Checks that braces, comments and strings are balanced.
+     *
+     * These are warnings, as the browser drops the broken rules and still applies the rest.
+     * @returns {Fragments.Fragment~diagnostic[]}
+     */
+    validate() {
+        let raw = this.raw;
+        let diagnostics = [];
+        let openBraces = [];
+
+        let report = (message, offset)=>{
+            diagnostics.push(Object.assign({
+                severity: "warning",
+                message: message
+            }, Fragment.positionAt(raw, offset)));
+        };
+
+        for(let i = 0; i < raw.length; i++) {
+            let c = raw[i];
+
+            if(c === "/" && raw[i+1] === "*") {
+                let end = raw.indexOf("*/", i + 2);
+                if(end === -1) {
+                    report("Unclosed comment", i);
+                    return diagnostics;
+                }
+                i = end + 1;
+            } else if(c === "\"" || c === "'") {
+                let start = i;
+                i++;
+                while(i < raw.length && raw[i] !== c && raw[i] !== "\n") {
+                    if(raw[i] === "\\") {
+                        i++;
+                    }
+                    i++;
+                }
+                if(raw[i] !== c) {
+                    report("Unclosed string", start);
+                }
+            } else if(c === "{") {
+                openBraces.push(i);
+            } else if(c === "}") {
+                if(openBraces.length === 0) {
+                    report("Unexpected }", i);
+                } else {
+                    openBraces.pop();
+                }
+            }
+        }
+
+        openBraces.forEach((offset)=>{
+            report("Unclosed {", offset);
+        });
+
+        return diagnostics;
+    }
+
     static type() {
         return "text/css";
     }
@@ -62,12 +62,17 @@ class HtmlFragment extends Fragment {
     }
     
     getTextContentNode() {
-        if(this.element.childNodes.length > 1 || (this.element.firstChild != null && !(this.element.firstChild instanceof Text))) {
-            //We have at least one child, first of those is not a Text node, convert
+        let contentNodes = Array.from(this.element.childNodes).filter((node)=>!Fragment.isMetadataNode(node));
+
+        if(contentNodes.length > 1 || (contentNodes[0] != null && !(contentNodes[0] instanceof Text))) {
+            //We have at least one child, first of those is not a Text node, convert, but keep any metadata
             let textNode = document.createTextNode("");
-            let content = this.element.innerHTML;
-            this.element.innerHTML = "";
-            this.element.appendChild(textNode);
+            let container = document.createElement("div");
+            contentNodes.forEach((node)=>{
+                container.appendChild(node);
+            });
+            let content = container.innerHTML;
+            this.element.insertBefore(textNode, this.element.firstChild);
             textNode.nodeValue = content;
             console.log("Converted HTML to single textNode");
         }
@@ -75,9 +80,94 @@ class HtmlFragment extends Fragment {
         return super.getTextContentNode();
     }
     
+    /**
+     * Checks that tags and comments are balanced.
+     *
+     * Browsers recover from unbalanced html, so the problems are reported as warnings and do not stop the fragment from running.
+     * @returns {Fragments.Fragment~diagnostic[]}
+     */
+    validate() {
+        let raw = this.raw;
+        let diagnostics = [];
+        let openTags = [];
+
+        let report = (message, offset)=>{
+            diagnostics.push(Object.assign({
+                severity: "warning",
+                message: message
+            }, Fragment.positionAt(raw, offset)));
+        };
+
+        let tagPattern = /<!--[\s\S]*?(?:-->|$)|<!\w[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)(>|$)/g;
+        let match;
+
+        while((match = tagPattern.exec(raw)) !== null) {
+            if(match[0].startsWith("<!--")) {
+                if(!match[0].endsWith("-->")) {
+                    report("Unclosed comment", match.index);
+                }
+                continue;
+            }
+
+            if(match[2] == null) {
+                //Doctype
+                continue;
+            }
+
+            let closing = match[1] === "/";
+            let name = match[2].toLowerCase();
+
+            if(match[4] !== ">") {
+                report("Unterminated tag <"+(closing ? "/" : "")+name, match.index);
+                break;
+            }
+
+            if(closing) {
+                let index = openTags.map((tag)=>tag.name).lastIndexOf(name);
+
+                if(index === -1) {
+                    report("Unexpected closing tag </"+name+">", match.index);
+                    continue;
+                }
+
+                //Anything opened after the matching tag is implicitly closed
+                openTags.splice(index).slice(1).forEach((tag)=>{
+                    if(!HtmlFragment.optionalEndTags.includes(tag.name)) {
+                        report("Unclosed tag <"+tag.name+">", tag.offset);
+                    }
+                });
+            } else if(HtmlFragment.voidTags.includes(name) || match[3].trim().endsWith("/")) {
+                continue;
+            } else if(HtmlFragment.rawTextTags.includes(name)) {
+                //Skip the content, it is not html
+                let end = raw.toLowerCase().indexOf("</"+name, tagPattern.lastIndex);
+                if(end === -1) {
+                    report("Unclosed tag <"+name+">", match.index);
+                    break;
+                }
+                tagPattern.lastIndex = end;
+                openTags.push({name: name, offset: match.index});
+            } else {
+                openTags.push({name: name, offset: match.index});
+            }
+        }
+
+        openTags.forEach((tag)=>{
+            if(!HtmlFragment.optionalEndTags.includes(tag.name)) {
+                report("Unclosed tag <"+tag.name+">", tag.offset);
+            }
+        });
+
+        return diagnostics;
+    }
+
     static type() {
         return "text/html";
     }
 }; window.HtmlFragment = HtmlFragment;
 
+HtmlFragment.voidTags = ["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"];
+HtmlFragment.rawTextTags = ["script", "style", "textarea", "title"];
+HtmlFragment.optionalEndTags = ["html", "head", "body", "p", "li", "dt", "dd", "option", "optgroup", "tr", "td", "th", "thead", "tbody", "tfoot", "colgroup", "rp", "rt"];
+
 Fragment.registerFragmentType(HtmlFragment);
@@ -53,9 +53,23 @@ class JavascriptFragment extends Fragment {
      * }
      * </code></pre>
      *
+     * Code running in the fragment can use onDispose(callback) to clean up when the fragment is re-run or unloaded.
+     * With trackResources, setTimeout, setInterval, addEventListener and EventSystem.registerEventCallback are released automatically as well.
+     *
+     * With module, or the module attribute on the fragment, the code runs as a real ES module with import, export and strict mode.
+     * The context is then available as module level constants, and imports of "#id" or paths load other fragments. Javascript fragments with the module
+     * attribute are imported as modules, other fragments are required and given as the default export. Requiring an unchanged module returns the already evaluated module.
+     *
+     * Running code can be cancelled with a signal or a timeout. The code sees the combined signal as signal, and async code should
+     * pass it on to fetch and similar, or check signal.aborted in long loops. Synchronous code can not be interrupted.
+     *
      * @typedef {Object} JavascriptFragment~RequireOptions
      * @property {Object} [context] - The context to pass to the javascript environment
      * @property {Object} [customConsole] - A custom object used instead of window.console, ie. to make custom log methods.
+     * @property {boolean} [trackResources] - Release timers, window listeners and EventSystem callbacks made through the context on re-run and unload. Defaults to true if the fragment has the track-resources attribute.
+     * @property {boolean} [module] - Run the code as an ES module. Defaults to true if the fragment has the module attribute.
+     * @property {AbortSignal} [signal] - Abort the execution when this signal aborts, the require then rejects with the abort reason
+     * @property {number} [timeout] - Abort the execution if it has not finished after this many milliseconds
      */
 
     /**
@@ -71,12 +85,22 @@ class JavascriptFragment extends Fragment {
         return JsEvalEngine.execute(this.raw, options, this);;
     }
 
-    async onFragmentsLoaded() {
+    async onFragmentsLoaded(options = {}) {
         if(this.auto && !Fragment.disableAutorun) {
-            await this.require();
+            await this.require(options);
         }
     }
 
+    supportsSyntaxCheck() {
+        return true;
+    }
+
+    checkSyntax() {
+        return JsEvalEngine.checkSyntax(this.raw, {
+            module: this.element.hasAttribute("module")
+        });
+    }
+
     supportsRun() {
         return true;
     }
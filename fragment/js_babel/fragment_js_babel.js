@@ -63,12 +63,13 @@ class JavascriptBabelFragment extends Fragment {
         }
              
         if (processedCode==null){
-            // Support for css-like imports from other fragments
+            // Support for css-like and path imports from other fragments
             function fragmentImports({types,template}){
                 return {
                     visitor: {
                         ImportDeclaration(path,state){
-                            if (path?.node?.source?.value?.startsWith("#")){
+                            let source = path?.node?.source?.value;
+                            if (source?.startsWith("#") || (source != null && Fragment.isPath(source))){
                                 let fragmentString = path.node.source.value.replaceAll("\"","\\\"");
                                 let specifierString = "throw new Error('Couldnt parse import specifier, try something simpler like import {Thing} from \"...\"')";
                                 if (path.node.specifiers.length===1 && path.node.specifiers[0].type==="ImportNamespaceSpecifier"){
@@ -88,7 +89,7 @@ class JavascriptBabelFragment extends Fragment {
 
                                 let replacementProgram = Babel.transform(`
                                     {try {
-                                        let fragment = Fragment.one("`+fragmentString+`");
+                                        let fragment = `+(source.startsWith("#")?`Fragment.one("`+fragmentString+`")`:`Fragment.resolve("`+fragmentString+`", fragmentSelfReference)`)+`;
                                         if (!fragment) throw new Error("Couldn't find fragment");
                                         `+specifierString+`
                                     } catch (ex){
@@ -127,11 +128,24 @@ class JavascriptBabelFragment extends Fragment {
         return output;
     }
 
-    onFragmentsLoaded() {
+    onFragmentsLoaded(options = {}) {
         if(this.auto && !Fragment.disableAutorun) {
-            this.require({
+            this.startAutorun(Object.assign({
                 autoRun: true
-            });
+            }, options));
+        }
+    }
+
+    supportsSyntaxCheck() {
+        return true;
+    }
+
+    checkSyntax() {
+        try {
+            Babel.transform(this.raw, {presets:["react"], ast:false, code:false});
+            return null;
+        } catch(e) {
+            return e;
         }
     }
 
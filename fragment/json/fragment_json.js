@@ -46,6 +46,16 @@ class JSONFragment extends Fragment {
         return JSON.parse(this.raw);
     }
 
+    validate() {
+        try {
+            JSON.parse(this.raw);
+        } catch(e) {
+            return [Fragment.diagnosticFromError(e, this.raw)];
+        }
+
+        return [];
+    }
+
     static type() {
         return "application/json";
     }
@@ -152,9 +152,9 @@ class LuaFragment extends Fragment {
         return new StackWalker.StackTrace("", [], stackLines[0]);
     }
 
-    async onFragmentsLoaded() {
+    async onFragmentsLoaded(options = {}) {
         if(this.auto && !Fragment.disableAutorun) {
-            await this.require();
+            await this.require(options);
         }
     }
 
@@ -163,9 +163,9 @@ codestrates_python_scope()`;
         return new StackWalker.StackTrace(name, parsedStack, extraReason);
     }
 
-    onFragmentsLoaded() {
+    onFragmentsLoaded(options = {}) {
         if(this.auto && !Fragment.disableAutorun) {
-            this.require();
+            this.startAutorun(options);
         }
     }
 
@@ -98,9 +98,9 @@ class RubyFragment extends Fragment {
         });
     }
 
-    onFragmentsLoaded() {
+    onFragmentsLoaded(options = {}) {
         if (this.auto && !Fragment.disableAutorun) {
-            this.require();
+            this.startAutorun(options);
         }
     }
 
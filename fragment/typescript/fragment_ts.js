@@ -98,14 +98,47 @@ class TypescriptFragment extends Fragment {
         }
     }
 
-    onFragmentsLoaded() {
+    onFragmentsLoaded(options = {}) {
         if(this.auto && !Fragment.disableAutorun) {
-            this.require({
+            this.startAutorun(Object.assign({
                 autoRun: true
-            });
+            }, options));
         }
     }
 
+    supportsSyntaxCheck() {
+        //The TypeScript compiler is loaded by the first require
+        return typeof ts !== "undefined";
+    }
+
+    checkSyntax() {
+        let prefix = JsEvalEngine.asyncPrefix("TypeScriptInternalAsync");
+
+        let result = ts.transpileModule(JsEvalEngine.wrapInAsync(this.raw, "TypeScriptInternalAsync"), {
+            reportDiagnostics: true,
+            compilerOptions: {module: ts.ModuleKind.ES6, target: "ES2017"}
+        });
+
+        let diagnostic = (result.diagnostics || []).find((diagnostic)=>diagnostic.category === ts.DiagnosticCategory.Error);
+        if(diagnostic == null) {
+            return null;
+        }
+
+        let error = new SyntaxError(ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"));
+
+        if(diagnostic.file != null && diagnostic.start != null) {
+            let position = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+
+            //Babel style location, the first line starts after the async wrapper
+            error.loc = {
+                line: position.line + 1,
+                column: position.line === 0 ? Math.max(0, position.character - prefix.length) : position.character
+            };
+        }
+
+        return error;
+    }
+
     supportsAuto() {
         return true;
     }
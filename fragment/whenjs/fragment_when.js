@@ -97,9 +97,9 @@ class WhenJSFragment extends Fragment {
         });
     }
 
-    async onFragmentsLoaded() {
+    async onFragmentsLoaded(options = {}) {
         if(this.auto && !Fragment.disableAutorun) {
-            await this.require();
+            await this.require(options);
         }
     }
 
@@ -114,6 +114,14 @@ class WhenJSFragment extends Fragment {
         super.unload();
     }
 
+    supportsSyntaxCheck() {
+        return true;
+    }
+
+    checkSyntax() {
+        return JsEvalEngine.checkSyntax(this.raw);
+    }
+
     supportsRun() {
         return true;
     }
@@ -70,10 +70,93 @@ class DescriptorFragment extends Fragment {
         return JSON.parse(this.raw);
     }
 
+    /**
+     * Validates the descriptor as JSON, and checks its properties against DescriptorFragment.schema
+     * @returns {Fragments.Fragment~diagnostic[]}
+     */
+    validate() {
+        let raw = this.raw;
+        let descriptor;
+
+        try {
+            descriptor = JSON.parse(raw);
+        } catch(e) {
+            return [Fragment.diagnosticFromError(e, raw)];
+        }
+
+        let diagnostics = [];
+
+        let report = (severity, message, property = null)=>{
+            let index = property != null ? raw.indexOf("\""+property+"\"") : -1;
+
+            diagnostics.push(Object.assign({
+                severity: severity,
+                message: message
+            }, Fragment.positionAt(raw, Math.max(0, index))));
+        };
+
+        if(descriptor === null || typeof descriptor !== "object" || Array.isArray(descriptor)) {
+            report("error", "A descriptor must be a JSON object");
+            return diagnostics;
+        }
+
+        Object.keys(descriptor).forEach((property)=>{
+            let expected = DescriptorFragment.schema[property];
+            let value = descriptor[property];
+
+            if(expected == null) {
+                report("warning", "Unknown descriptor property \""+property+"\"", property);
+                return;
+            }
+
+            let valid = true;
+            switch(expected) {
+                case "string":
+                    valid = typeof value === "string";
+                    break;
+                case "string[]":
+                    valid = Array.isArray(value) && value.every((item)=>typeof item === "string");
+                    break;
+                case "object":
+                    valid = value !== null && typeof value === "object" && !Array.isArray(value);
+                    break;
+            }
+
+            if(!valid) {
+                report("error", "Descriptor property \""+property+"\" must be "+(expected === "string[]" ? "an array of strings" : "a"+(expected === "object" ? "n " : " ")+expected), property);
+            }
+        });
+
+        DescriptorFragment.requiredProperties.forEach((property)=>{
+            if(!descriptor.hasOwnProperty(property)) {
+                report("warning", "Descriptor is missing \""+property+"\"");
+            }
+        });
+
+        return diagnostics;
+    }
+
     static type() {
         return "wpm/descriptor";
     }
 }; 
 
 window.DescriptorFragment = DescriptorFragment;
+
+/**
+ * The known descriptor properties and their types
+ * @type {Object<string, string>}
+ */
+DescriptorFragment.schema = {
+    friendlyName: "string",
+    description: "string",
+    license: "string",
+    version: "string",
+    dependencies: "string[]",
+    optionalDependencies: "string[]",
+    assets: "string[]",
+    changelog: "object"
+};
+
+DescriptorFragment.requiredProperties = ["description", "dependencies", "assets", "version"];
 Fragment.registerFragmentType(DescriptorFragment);
@@ -26,6 +26,7 @@ class AutoDOMCache {
         if (KNOWN_EMPTIES.includes(type)){
             if (currentContent.trim().length===0){
                 if (AutoDOMCache.DEBUG) console.log("Returning known empty for ", fragment);
+                AutoDOMCache.recordLookup(fragment, true);
                 return "";
             }
         }
@@ -37,7 +38,10 @@ class AutoDOMCache {
         if (AutoDOMCache.DEBUG) console.log("Cache path is ", fragmentPath);
         try {
             let hitDataString = localStorage.getItem(META_PATH+fragmentPath);
-            if (!hitDataString) return null; // miss
+            if (!hitDataString) {
+                AutoDOMCache.recordLookup(fragment, false);
+                return null; // miss
+            }
             let hitData = JSON.parse(hitDataString);
             
             if (hitData.compressed){
@@ -48,14 +52,23 @@ class AutoDOMCache {
                 hitData.hits += 1;
                 hitData.lastHit = Date.now();
                 localStorage.setItem(META_PATH+fragmentPath, JSON.stringify(hitData));
+                AutoDOMCache.recordLookup(fragment, true);
                 return localStorage.getItem(DATA_PATH+fragmentPath);
             }
         } catch (ex){
             console.log(ex);
+            AutoDOMCache.recordLookup(fragment, false);
             return null; // This was still a miss
         }
     }
     
+    // Count hits and misses on the fragment, for Fragment.loadReport
+    static recordLookup(fragment, hit){
+        if (typeof fragment.recordCacheLookup === "function"){
+            fragment.recordCacheLookup(hit);
+        }
+    }
+    
     static async set(fragment, renderedContent){
         if (AutoDOMCache.DEBUG) console.log("Storing cache entry for", fragment);
         
@@ -22,8 +22,15 @@
 
 let fragmentExport = {
     create: Fragment.create,
+    createAsync: Fragment.createAsync,
     find: Fragment.find,
-    one: Fragment.one
+    one: Fragment.one,
+    byId: Fragment.byId
+};
+
+let folderExport = {
+    root: Folder.root,
+    resolve: Folder.resolve
 };
 
 let editorManagerExport = {
@@ -32,6 +39,7 @@ let editorManagerExport = {
 
 let codestrates = {
     fragment: fragmentExport,
+    folder: folderExport,
     editor: editorManagerExport
 };
 
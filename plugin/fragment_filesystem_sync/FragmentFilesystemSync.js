@@ -1,5 +1,4 @@
 let store = "directoryHandles";
-let folderElements = ["CODE-FOLDER","WPM-PACKAGE"];
 let extensionTypes = {
   "text/javascript": "js",
   "text/javascript+babel": "jsx",
@@ -317,6 +316,8 @@ class FragmentFilesystemSync {
                     let element = await findFragmentNodeByWSID(oldFileMeta.wid);
                     if (!element){
                         console.log("Couldn't find element node to push FS contents to",path);
+                    } else if (element.fragment.locked){
+                        console.warn("Not pushing FS contents into locked fragment",path,element.fragment.lockReason);
                     } else {
                         element.fragment.raw = await file.text();
                     }
@@ -363,44 +364,35 @@ class FragmentFilesystemSync {
         let newPathMapping = new Map();
         let newNodeMapping = new Map();
         
-        // Recurse through folder elements and map them with unique names
-        let registerFolderElements = function registerFolderElements(currentPath, currentElement){
-            if (folderElements.includes(currentElement.nodeName)){
-                // This is a folder
+        // Recurse through the folder tree and map folders with unique names
+        let registerFolders = function registerFolders(currentPath, folder){
+            folder.folders.forEach((child)=>{
                 let path;
                 let counter = 0;
-                let extension = "";
-                if (currentElement.nodeName==="WPM-PACKAGE") extension = ".wpm";
+                let extension = child.isPackage?".wpm":"";
                 do {
                     // Not unique, append a number
-                    path = currentPath + "/" + sanitizeFileName(getNodeName(currentElement))+(counter>0?"_"+counter:"")+extension;  
-                    counter++;                  
+                    path = currentPath + "/" + sanitizeFileName(child.name)+(counter>0?"_"+counter:"")+extension;
+                    counter++;
                 } while(newPathMapping.get(path));
-                newPathMapping.set(path,{node:currentElement});
-                newNodeMapping.set(currentElement,path);                
-                currentPath = path;
-            }
-            for (let i = 0; i<currentElement.children.length; i++){
-                registerFolderElements(currentPath,currentElement.children[i]);
-            }            
+                newPathMapping.set(path,{node:child.element});
+                newNodeMapping.set(child.element,path);
+                registerFolders(path, child);
+            });
         }
-        registerFolderElements("",document.body);
+        registerFolders("",Folder.root());
 
         // Map fragments with unique names
         this.fragmentLinks.forEach((link)=>{
             // Find parent path
-            let path = "";            
-            let parent = link.fragment.element.parentNode;
-            while (parent && parent.parentNode != null) {
-                if (folderElements.includes(parent.nodeName)){
-                    path = newNodeMapping.get(parent);
-                    if (!path){
-                        console.warn("Weird", parent, link);
-                        throw new Error("FIXME: Cannot map fragment inside folder that wasn't detected properly");
-                    } 
-                    break;
+            let path = "";
+            let folder = Folder.of(link.fragment.element);
+            if (folder && !folder.isRoot){
+                path = newNodeMapping.get(folder.element);
+                if (!path){
+                    console.warn("Weird", folder, link);
+                    throw new Error("FIXME: Cannot map fragment inside folder that wasn't detected properly");
                 }
-                parent = parent.parentNode;
             }
             
             // Make fragment name unique
@@ -503,8 +495,9 @@ class FragmentLink {
     }
     
     getRawName(){
-        let name = getNodeName(this.fragment.element);        
-        return name?name:this.fragment.type.substring(this.fragment.type.lastIndexOf('/')+1);
+        let name = Folder.nameOf(this.fragment.element);
+        // Fragments without a name or id are named by their type instead of their uuid
+        return name.startsWith("@")?this.fragment.type.substring(this.fragment.type.lastIndexOf('/')+1):name;
     }
 
     getExtension(){
@@ -515,17 +508,8 @@ class FragmentLink {
 }
 
 
-function getNodeName(node){
-    let name = node.hasAttribute("name")?node.getAttribute("name").trim():"";
-    if (name.length>0) return name;
-    let id = node.hasAttribute("id")?node.getAttribute("id").trim():"";
-    if (id.length>0) return "#"+id;
-    if (folderElements.includes(node.nodeName)) return node.nodeName.toLowerCase();
-    return false;
-}
-
 function findFolderNodeByWSID(wsid){
-    return Array.from(document.querySelectorAll(folderElements.join(","))).find(element=>element.webstrate?.id==wsid);
+    return Array.from(document.querySelectorAll(Folder.folderElements.join(","))).find(element=>element.webstrate?.id==wsid);
 }
 function findFragmentNodeByWSID(wsid){
     return Array.from(document.querySelectorAll("code-fragment")).find(element=>element.webstrate?.id==wsid);